@@ -0,0 +1,14 @@
+/**
+ * CliError - An error the command-line tool reports without a stack trace
+ */
+export class CliError extends Error {
+  /**
+   * @param {string} message - The message to print
+   * @param {number} [exitCode] - The process exit code (default 1; 2 for usage errors)
+   */
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+  }
+}
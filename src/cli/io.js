@@ -0,0 +1,102 @@
+import { CliError } from './CliError.js';
+
+const OPERATIONS = ['add', 'set'];
+const FIELDS = ['op', 'from', 'to', 'amount'];
+
+/**
+ * Parse add/set operations from CSV or JSON Lines text
+ *
+ * CSV lines are `op,from,to,amount` with an optional header line; JSON lines are
+ * {op, from, to, amount} objects. Blank lines and lines starting with # are skipped.
+ * @param {string} text - The input text
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Array} - Array of {op, from, to, amount} objects
+ * @throws {CliError} - If a line cannot be parsed, naming the line
+ */
+export function parseOperations(text, format) {
+  const operations = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const lineNumber = index + 1;
+    const operation = format === 'csv' ? parseCsvLine(trimmed, lineNumber) : parseJsonLine(trimmed, lineNumber);
+    if (!operation) return;
+    if (!OPERATIONS.includes(operation.op)) {
+      throw new CliError(`line ${lineNumber}: unknown operation ${JSON.stringify(operation.op)}`);
+    }
+    operations.push(operation);
+  });
+  return operations;
+}
+
+/**
+ * Parse one CSV line, skipping a header line
+ * @param {string} line - The trimmed line
+ * @param {number} lineNumber - The line number, for error messages
+ * @returns {Object|null} - The operation, or null for a header line
+ */
+function parseCsvLine(line, lineNumber) {
+  const fields = line.split(',').map((field) => field.trim());
+  if (fields[0] === 'op') return null;
+  if (fields.length !== FIELDS.length) {
+    throw new CliError(`line ${lineNumber}: expected ${FIELDS.join(',')}`);
+  }
+
+  const [op, ...numbers] = fields;
+  const [from, to, amount] = numbers.map((field) => {
+    const number = field === '' ? NaN : Number(field);
+    if (!Number.isFinite(number)) throw new CliError(`line ${lineNumber}: invalid number ${JSON.stringify(field)}`);
+    return number;
+  });
+  return { op, from, to, amount };
+}
+
+/**
+ * Parse one JSON line
+ * @param {string} line - The trimmed line
+ * @param {number} lineNumber - The line number, for error messages
+ * @returns {Object} - The operation
+ */
+function parseJsonLine(line, lineNumber) {
+  let value;
+  try {
+    value = JSON.parse(line);
+  } catch {
+    throw new CliError(`line ${lineNumber}: invalid JSON`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new CliError(`line ${lineNumber}: expected an object with ${FIELDS.join(', ')}`);
+  }
+
+  const { op, from, to, amount } = value;
+  for (const field of FIELDS.slice(1)) {
+    if (!Number.isFinite(value[field])) {
+      throw new CliError(`line ${lineNumber}: invalid number ${JSON.stringify(value[field])} for ${field}`);
+    }
+  }
+  return { op, from, to, amount };
+}
+
+/**
+ * Format a command's result
+ * @param {Object} result - {columns, rows, json}: a table and the value to print as JSON
+ * @param {string} format - 'json', 'csv' or 'table'
+ * @returns {string} - The output, ending with a newline
+ */
+export function formatResult({ columns, rows, json }, format) {
+  if (format === 'json') return `${JSON.stringify(json)}\n`;
+  if (format === 'csv') return [columns, ...rows].map((row) => `${row.join(',')}\n`).join('');
+
+  // A human-readable table, with numbers aligned to the right
+  const cells = [columns, ...rows].map((row) => row.map(String));
+  const widths = columns.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  const pad = (cell, i, value) => (typeof value === 'number' ? cell.padStart(widths[i]) : cell.padEnd(widths[i]));
+
+  const lines = [
+    cells[0].map((cell, i) => pad(cell, i, cell)).join('  '),
+    widths.map((width) => '-'.repeat(width)).join('  '),
+    ...rows.map((row, r) => cells[r + 1].map((cell, i) => pad(cell, i, row[i])).join('  ')),
+  ];
+  return lines.map((line) => `${line.trimEnd()}\n`).join('');
+}
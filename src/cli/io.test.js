@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { CliError } from './CliError.js';
+import { formatResult, parseOperations } from './io.js';
+
+describe('cli io', () => {
+  describe('parseOperations', () => {
+    it('should parse CSV with an optional header, skipping blank lines and comments', () => {
+      const text = 'op,from,to,amount\n\nadd, 10, 30, 1\n# comment\nset,20,40,-2.5\r\n';
+      expect(parseOperations(text, 'csv')).to.deep.equal([
+        { op: 'add', from: 10, to: 30, amount: 1 },
+        { op: 'set', from: 20, to: 40, amount: -2.5 },
+      ]);
+    });
+
+    it('should parse JSON Lines', () => {
+      const text = '{"op":"add","from":10,"to":30,"amount":1}\n{"op":"set","from":0,"to":5,"amount":2,"note":"x"}\n';
+      expect(parseOperations(text, 'jsonl')).to.deep.equal([
+        { op: 'add', from: 10, to: 30, amount: 1 },
+        { op: 'set', from: 0, to: 5, amount: 2 },
+      ]);
+    });
+
+    it('should name the line that cannot be parsed', () => {
+      expect(() => parseOperations('add,1,2,3\nadd,1,x,3', 'csv')).to.throw(CliError, 'line 2: invalid number "x"');
+      expect(() => parseOperations('add,1,2', 'csv')).to.throw(CliError, 'line 1: expected op,from,to,amount');
+      const valid = '{"op":"add","from":1,"to":2,"amount":3}';
+      expect(() => parseOperations(`${valid}\n{`, 'jsonl')).to.throw(CliError, 'line 2: invalid JSON');
+      expect(() => parseOperations(`${valid}\n{"op":"add","from":"x","to":5,"amount":1}`, 'jsonl')).to.throw(
+        CliError,
+        'line 2: invalid number "x" for from',
+      );
+      expect(() => parseOperations('{"op":"add","from":1,"to":5}', 'jsonl')).to.throw(
+        CliError,
+        'line 1: invalid number undefined for amount',
+      );
+      expect(() => parseOperations('[1, 2]', 'jsonl')).to.throw(CliError, 'line 1: expected an object');
+      expect(() => parseOperations('remove,1,2,3', 'csv')).to.throw(CliError, 'line 1: unknown operation "remove"');
+    });
+  });
+
+  describe('formatResult', () => {
+    const result = {
+      columns: ['position', 'intensity'],
+      rows: [
+        [10, 1],
+        [200, -15],
+      ],
+      json: [
+        [10, 1],
+        [200, -15],
+      ],
+    };
+
+    it('should format JSON and CSV', () => {
+      expect(formatResult(result, 'json')).to.equal('[[10,1],[200,-15]]\n');
+      expect(formatResult(result, 'csv')).to.equal('position,intensity\n10,1\n200,-15\n');
+    });
+
+    it('should align a table, numbers to the right', () => {
+      expect(formatResult(result, 'table')).to.equal(
+        ['position  intensity', '--------  ---------', '      10          1', '     200        -15', ''].join('\n'),
+      );
+      expect(formatResult({ columns: ['from', 'to'], rows: [], json: [] }, 'table')).to.equal('from  to\n----  --\n');
+    });
+  });
+});
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { CliError } from './CliError.js';
+import { run } from './run.js';
+
+/**
+ * Read all of standard input
+ * @returns {Promise<string>} - The input
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+(async () => {
+  try {
+    const output = await run(process.argv.slice(2), { readFile: (path) => readFile(path, 'utf8'), readStdin });
+    process.stdout.write(output);
+  } catch (error) {
+    process.stderr.write(`range-list: ${error.message}\n`);
+    process.exitCode = error instanceof CliError ? error.exitCode : 1;
+  }
+})();
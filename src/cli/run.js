@@ -0,0 +1,219 @@
+import { parseArgs } from 'node:util';
+import { RangeList } from '../core/RangeList.js';
+import { CliError } from './CliError.js';
+import { formatResult, parseOperations } from './io.js';
+
+export const USAGE = `Usage: range-list <command> [options] [arguments]
+
+Commands:
+  dump [file...]               Apply operations and print the resulting breakpoints
+  query <position> [file...]   Apply operations and print the intensity at a position
+  above <level> [file...]      Apply operations and print where the intensity is above a level
+  diff <a.json> <b.json>       Print where two range lists saved with toJSON() differ
+
+Operations are read from the files, or from stdin if there are none: CSV lines
+(op,from,to,amount) for .csv files and JSON Lines ({"op", "from", "to", "amount"}) otherwise.
+
+Options:
+  -f, --format <json|csv|table>   Output format (default table)
+  -i, --input <csv|jsonl>         Input format, overriding the file extension
+  -d, --domain <continuous|integer>
+                                  Half-open [from, to) ranges (default) or inclusive integer ranges
+  -h, --help                      Show this help
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'table' },
+  input: { type: 'string', short: 'i' },
+  domain: { type: 'string', short: 'd', default: 'continuous' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const CHOICES = {
+  format: ['json', 'csv', 'table'],
+  input: ['csv', 'jsonl'],
+  domain: ['continuous', 'integer'],
+};
+
+const COMMANDS = { dump, query, above, diff };
+
+/**
+ * Run the command-line tool
+ * @param {Array} args - The command-line arguments, without the node and script paths
+ * @param {Object} io
+ * @param {Function} io.readFile - async path => file contents as a string
+ * @param {Function} io.readStdin - async () => standard input as a string
+ * @returns {Promise<string>} - The output to print
+ * @throws {CliError} - For invalid arguments (exit code 2) and unreadable input
+ */
+export async function run(args, io) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new CliError(error.message, 2);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return USAGE;
+
+  for (const [option, choices] of Object.entries(CHOICES)) {
+    if (values[option] !== undefined && !choices.includes(values[option])) {
+      throw new CliError(`--${option} must be one of ${choices.join(', ')}`, 2);
+    }
+  }
+
+  const [name, ...rest] = positionals;
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) throw new CliError(name ? `Unknown command: ${name}` : 'Missing command, see --help', 2);
+
+  const result = await command(rest, values, io);
+  return formatResult(result, values.format);
+}
+
+/**
+ * Print the breakpoints after applying the operations
+ * @param {Array} args - [file...]
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<Object>} - The result to format
+ */
+async function dump(args, values, io) {
+  const rangeList = await loadOperations(args, values, io);
+  const breakpoints = rangeList.toArray();
+  return { columns: ['position', 'intensity'], rows: breakpoints, json: breakpoints };
+}
+
+/**
+ * Print the intensity at a position after applying the operations
+ * @param {Array} args - [position, file...]
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<Object>} - The result to format
+ */
+async function query([position, ...files], values, io) {
+  const at = parseNumber(position, 'position');
+  const intensity = (await loadOperations(files, values, io)).get(at);
+  return { columns: ['position', 'intensity'], rows: [[at, intensity]], json: intensity };
+}
+
+/**
+ * Print the intervals where the intensity is above a level after applying the operations
+ * @param {Array} args - [level, file...]
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<Object>} - The result to format
+ */
+async function above([level, ...files], values, io) {
+  const threshold = parseNumber(level, 'level');
+  const intervals = (await loadOperations(files, values, io)).whereAbove(threshold);
+  return { columns: ['from', 'to'], rows: intervals.map(({ from, to }) => [from, to]), json: intervals };
+}
+
+/**
+ * Print the segments where two saved range lists differ, with both intensities
+ * @param {Array} args - [a.json, b.json]
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<Object>} - The result to format
+ */
+async function diff(args, values, io) {
+  if (args.length !== 2) throw new CliError('diff needs exactly two files', 2);
+  const [a, b] = await Promise.all(args.map((file) => loadJson(file, values, io)));
+
+  // Both lists are constant between consecutive breakpoints of either one
+  const positions = [...new Set([...a.toArray(), ...b.toArray()].map(([position]) => position))];
+  positions.sort((x, y) => x - y);
+
+  const differences = [];
+  for (let i = 0; i < positions.length - 1; i++) {
+    const [from, to] = [positions[i], positions[i + 1]];
+    const [intensityA, intensityB] = [a.get(from), b.get(from)];
+    if (intensityA === intensityB) continue;
+
+    const previous = differences[differences.length - 1];
+    if (previous && previous.to === from && previous.a === intensityA && previous.b === intensityB) {
+      previous.to = to;
+    } else {
+      differences.push({ from, to, a: intensityA, b: intensityB });
+    }
+  }
+
+  // Report inclusive ends in the integer domain, like the other commands
+  if (values.domain === 'integer') differences.forEach((difference) => (difference.to -= 1));
+  return {
+    columns: ['from', 'to', 'a', 'b'],
+    rows: differences.map(({ from, to, a, b }) => [from, to, a, b]),
+    json: differences,
+  };
+}
+
+/**
+ * Read operations from files, or from stdin without files, and apply them to a new range list
+ * @param {Array} files - The files to read, in order
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<RangeList>} - The range list
+ */
+async function loadOperations(files, values, io) {
+  const sources = files.length > 0 ? files : [null];
+  const operations = [];
+  for (const file of sources) {
+    const text = file === null ? await io.readStdin() : await read(file, io);
+    const format = values.input || (file && file.endsWith('.csv') ? 'csv' : 'jsonl');
+    try {
+      operations.push(...parseOperations(text, format));
+    } catch (error) {
+      throw new CliError(`${file === null ? 'stdin' : file}: ${error.message}`);
+    }
+  }
+  return RangeList.fromOperations(operations, { strict: true, domain: values.domain });
+}
+
+/**
+ * Read a range list saved with toJSON()
+ * @param {string} file - The file to read
+ * @param {Object} values - The parsed options
+ * @param {Object} io - As for run()
+ * @returns {Promise<RangeList>} - The range list
+ */
+async function loadJson(file, values, io) {
+  const text = await read(file, io);
+  let breakpoints;
+  try {
+    breakpoints = JSON.parse(text);
+  } catch {
+    throw new CliError(`${file}: invalid JSON`);
+  }
+  try {
+    return RangeList.fromJSON(breakpoints, { domain: values.domain });
+  } catch (error) {
+    throw new CliError(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a file, reporting failures as a CliError
+ * @param {string} file - The file to read
+ * @param {Object} io - As for run()
+ * @returns {Promise<string>} - The contents
+ */
+async function read(file, io) {
+  try {
+    return await io.readFile(file);
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a numeric command argument
+ * @param {string} value - The argument
+ * @param {string} name - Its name, for the error message
+ * @returns {number} - The number
+ */
+function parseNumber(value, name) {
+  const number = value === undefined || value.trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(number)) throw new CliError(`Expected a number for ${name}, got ${String(value)}`, 2);
+  return number;
+}
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import { CliError } from './CliError.js';
+import { USAGE, run } from './run.js';
+
+describe('cli run', () => {
+  const files = {
+    'ops.csv': 'op,from,to,amount\nadd,10,30,1\nadd,20,40,1\n',
+    'ops.jsonl': '{"op":"set","from":25,"to":35,"amount":5}\n',
+    'a.json': '[[10,1],[20,2],[30,0]]',
+    'b.json': '[[10,1],[20,3],[25,2],[40,0]]',
+    'bad.json': '[[10,1],[5,0]]',
+  };
+  let stdin;
+  const io = {
+    readFile: async (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: no such file or directory, open '${path}'`);
+      return files[path];
+    },
+    readStdin: async () => stdin,
+  };
+
+  beforeEach(() => {
+    stdin = '';
+  });
+
+  it('should dump the breakpoints of operations from files in order', async () => {
+    expect(await run(['dump', 'ops.csv', 'ops.jsonl', '-f', 'json'], io)).to.equal(
+      '[[10,1],[20,2],[25,5],[35,1],[40,0]]\n',
+    );
+  });
+
+  it('should read JSON Lines from stdin, or CSV with --input', async () => {
+    stdin = '{"op":"add","from":0,"to":10,"amount":3}\n';
+    expect(await run(['dump', '--format', 'csv'], io)).to.equal('position,intensity\n0,3\n10,0\n');
+
+    stdin = 'add,0,10,3\n';
+    expect(await run(['dump', '-i', 'csv', '-f', 'json'], io)).to.equal('[[0,3],[10,0]]\n');
+  });
+
+  it('should query a position and find where the intensity is above a level', async () => {
+    expect(await run(['query', '22', 'ops.csv', '-f', 'json'], io)).to.equal('2\n');
+    expect(await run(['query', '22', 'ops.csv'], io)).to.equal(
+      'position  intensity\n--------  ---------\n      22          2\n',
+    );
+    expect(await run(['above', '1', 'ops.csv', '-f', 'json'], io)).to.equal('[{"from":20,"to":30}]\n');
+    expect(await run(['above', '0', 'ops.csv', '--domain', 'integer', '-f', 'csv'], io)).to.equal('from,to\n10,40\n');
+  });
+
+  it('should diff two saved range lists', async () => {
+    expect(await run(['diff', 'a.json', 'b.json', '-f', 'json'], io)).to.equal(
+      '[{"from":20,"to":25,"a":2,"b":3},{"from":30,"to":40,"a":0,"b":2}]\n',
+    );
+    expect(await run(['diff', 'a.json', 'a.json', '-f', 'csv'], io)).to.equal('from,to,a,b\n');
+  });
+
+  it('should print usage for --help', async () => {
+    expect(await run(['--help'], io)).to.equal(USAGE);
+  });
+
+  it('should report usage errors with exit code 2', async () => {
+    const usageErrors = [
+      [],
+      ['bogus'],
+      ['toString'],
+      ['constructor', 'ops.csv'],
+      ['dump', '--format', 'xml'],
+      ['dump', '--unknown'],
+      ['query', 'x', 'ops.csv'],
+      ['diff', 'a.json'],
+    ];
+    for (const args of usageErrors) {
+      const error = await run(args, io).catch((e) => e);
+      expect(error, args.join(' ')).to.be.instanceOf(CliError);
+      expect(error.exitCode).to.equal(2);
+    }
+  });
+
+  it('should report input errors with the file and line', async () => {
+    stdin = 'add,1,2,3\nadd,1,2\n';
+    const errors = await Promise.all([
+      run(['dump', '-i', 'csv'], io).catch((e) => e),
+      run(['dump', 'missing.csv'], io).catch((e) => e),
+      run(['diff', 'a.json', 'bad.json'], io).catch((e) => e),
+    ]);
+
+    expect(errors.map((error) => error.message)).to.deep.equal([
+      'stdin: line 2: expected op,from,to,amount',
+      "Cannot read missing.csv: ENOENT: no such file or directory, open 'missing.csv'",
+      'bad.json: Breakpoint positions must be strictly increasing: 5 follows 10',
+    ]);
+    expect(errors.every((error) => error.exitCode === 1)).to.be.true;
+  });
+});
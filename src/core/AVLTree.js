@@ -1,61 +1,155 @@
+// Versions are unique across all trees, so no two trees own the same node
+let nextVersion = 0;
+
 /**
  * AVLTree - Self-balancing binary search tree
+ *
+ * Every node also carries aggregates of its subtree (key bounds, min/max value and the
+ * length-weighted integral of the step function formed by its keys), so range aggregates
+ * are answered in O(log n).
+ *
+ * Adding an amount to every value in a key range is lazy: fully covered subtrees only record
+ * the amount as `pending` on their root, and it is pushed down to the children the next time
+ * a mutation descends through that node. Lookups add up the pending amounts along their path
+ * instead, so they never modify the tree and return plain {key, value} entries.
+ *
+ * Values are numbers added with + by default. With a custom `combine` function values can be
+ * of any type; value aggregates are then not maintained, only key bounds.
+ *
+ * Keys are ordered with < and > by default, which covers numbers, BigInts, strings and Dates.
+ * A custom `compare` function supports other ordered types, and `distance` measures the gap
+ * between two keys for findNearest and the integral aggregate.
+ *
+ * Moving every key from some key onwards is lazy in the same way: `advance` moves a key by a
+ * delta, and fully covered subtrees record the delta as `keyShift` on their root. Deltas are
+ * summed with `addDeltas`, so they can be of any type `advance` accepts, e.g. BigInts.
+ * A node's own key and key bounds are always current; lookups advance their descendants' keys
+ * by the shifts composed along the path.
+ *
+ * The tree is persistent: clone() returns a copy in O(1) that shares all nodes with the
+ * original. Every node is stamped with the version of the tree that created it, and a tree
+ * only modifies nodes carrying its own version; shared nodes are copied along the mutated
+ * path instead. Until a tree is first cloned, all its nodes are its own and nothing is copied.
  */
 export class AVLTree {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.combine] - Associative (value, amount) => value used by addToRange
+   * @param {Function} [options.compare] - (a, b) => negative, zero or positive number ordering keys
+   * @param {Function|null} [options.distance] - (a, b) => number distance from key a to a later key b,
+   *   or null if keys have none (default b - a, converted to a number)
+   * @param {Function|null} [options.advance] - (key, delta) => the key moved by a delta, or null
+   *   if keys cannot be moved (default key + delta)
+   * @param {Function} [options.addDeltas] - (a, b) => the delta moving keys by both a and b
+   *   (default a + b)
+   */
+  constructor(options = {}) {
     this.root = null;
+    this.combine = options.combine || null;
+    this.compare = options.compare || ((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    this.distance = options.distance === undefined ? (a, b) => Number(b - a) : options.distance;
+    this.advance = options.advance === undefined ? (key, delta) => key + delta : options.advance;
+    this.addDeltas = options.addDeltas || ((a, b) => a + b);
+    this.version = nextVersion++;
+  }
+
+  /**
+   * Create a copy of the tree in O(1), sharing its nodes
+   *
+   * Modifying either tree afterwards copies the nodes on the modified path, so the other one
+   * is unaffected.
+   * @returns {AVLTree} - The copy
+   */
+  clone() {
+    const { combine, compare, distance, advance, addDeltas } = this;
+    const copy = new AVLTree({ combine, compare, distance, advance, addDeltas });
+    copy.root = this.root;
+    // Freeze the shared nodes for both trees
+    this.version = nextVersion++;
+    return copy;
   }
 
   /**
    * Insert a key-value pair into the tree
-   * @param {number} key - The key (position)
+   * @param {*} key - The key (position)
    * @param {number} value - The value (intensity)
    */
   insert(key, value) {
     this.root = this._insertNode(this.root, key, value);
   }
 
+  /**
+   * Replace the contents of the tree, building a balanced tree in O(n)
+   * @param {Array} entries - Array of {key, value} objects in order of strictly increasing key
+   */
+  load(entries) {
+    this.root = this._buildBalanced(entries, 0, entries.length);
+  }
+
   /**
    * Update a node's value
-   * @param {number} key - The key to update
+   * @param {*} key - The key to update
    * @param {number} value - The new value
    */
   update(key, value) {
-    const node = this.find(key);
-    if (node) {
-      node.value = value;
+    if (this.find(key)) {
+      this.insert(key, value);
     }
   }
 
   /**
    * Remove a node with the given key
-   * @param {number} key - The key to remove
+   * @param {*} key - The key to remove
    */
   remove(key) {
     this.root = this._removeNode(this.root, key);
   }
 
+  /**
+   * Add an amount to the value of every node with a key in [fromKey, toKey)
+   * @param {*} fromKey - Lower bound (inclusive)
+   * @param {*} toKey - Upper bound (exclusive)
+   * @param {number} amount - The amount to add
+   */
+  addToRange(fromKey, toKey, amount) {
+    this.root = this._addToRange(this.root, fromKey, toKey, amount);
+  }
+
+  /**
+   * Move every key greater than or equal to fromKey by a delta, in O(log n)
+   *
+   * The caller must make sure the moved keys keep their order relative to the other keys,
+   * e.g. by removing the keys in the way first.
+   * @param {*} fromKey - Lower bound (inclusive)
+   * @param {*} delta - The delta to pass to advance
+   */
+  shiftKeys(fromKey, delta) {
+    if (!this.advance) throw new Error('shiftKeys requires an advance function for these keys');
+    if (delta === 0 || delta === 0n) return;
+    this.root = this._shiftKeys(this.root, fromKey, delta);
+  }
+
   /**
    * Find a node with the exact key
-   * @param {number} key - The key to find
+   * @param {*} key - The key to find
    * @returns {Object|null} - The node or null if not found
    */
   find(key) {
-    return this._findNode(this.root, key);
+    return this._findNode(this.root, key, null, null);
   }
 
   /**
    * Find the node with the largest key less than the given key
-   * @param {number} key - The reference key
+   * @param {*} key - The reference key
    * @returns {Object|null} - The node or null if none exists
    */
   findLessThan(key) {
-    return this._findLessThan(this.root, key, null);
+    return this._findLessThan(this.root, key, null, null, null);
   }
 
   /**
    * Find the node with the largest key less than or equal to the given key
-   * @param {number} key - The reference key
+   * @param {*} key - The reference key
    * @returns {Object|null} - The node or null if none exists
    */
   findLessThanOrEqual(key) {
@@ -66,10 +160,12 @@ export class AVLTree {
 
   /**
    * Find the nearest node to the given key
-   * @param {number} key - The reference key
+   * @param {*} key - The reference key
    * @returns {Object|null} - The nearest node or null if the tree is empty
    */
   findNearest(key) {
+    if (!this.distance) throw new Error('findNearest requires a distance function for these keys');
+
     const exact = this.find(key);
     if (exact) return exact;
 
@@ -79,66 +175,169 @@ export class AVLTree {
     if (!less) return greater;
     if (!greater) return less;
 
-    return key - less.key < greater.key - key ? less : greater;
+    return this.distance(less.key, key) < this.distance(key, greater.key) ? less : greater;
   }
 
   /**
    * Find the node with the smallest key greater than the given key
-   * @param {number} key - The reference key
+   * @param {*} key - The reference key
    * @returns {Object|null} - The node or null if none exists
    */
   findGreaterThan(key) {
-    return this._findGreaterThan(this.root, key, null);
+    return this._findGreaterThan(this.root, key, null, null, null);
+  }
+
+  /**
+   * Find the first node with a key greater than or equal to fromKey whose value satisfies a
+   * predicate
+   *
+   * For numeric values, subtrees are skipped when predicate(minValue, maxValue) is false, so
+   * the predicate must return whether some value between min and max may satisfy it. Single
+   * values are checked with predicate(value, value).
+   * @param {*} fromKey - Lower bound (inclusive)
+   * @param {Function} predicate - (min, max) => boolean
+   * @returns {Object|null} - The node or null if none matches
+   */
+  findFirst(fromKey, predicate) {
+    return this._findFirst(this.root, fromKey, predicate, null, null);
   }
 
   /**
    * Get all keys within a range (inclusive)
-   * @param {number} fromKey - Lower bound
-   * @param {number} toKey - Upper bound
+   * @param {*} fromKey - Lower bound
+   * @param {*} toKey - Upper bound
    * @returns {Array} - Array of keys in the range
    */
   getKeysInRange(fromKey, toKey) {
+    return this.getNodesInRange(fromKey, toKey).map((node) => node.key);
+  }
+
+  /**
+   * Get all nodes within a range (inclusive), in order of increasing key
+   * @param {*} fromKey - Lower bound
+   * @param {*} toKey - Upper bound
+   * @returns {Array} - Array of nodes in the range
+   */
+  getNodesInRange(fromKey, toKey) {
     const result = [];
-    this._collectKeysInRange(this.root, fromKey, toKey, result);
+    for (const node of this.entries({ from: fromKey })) {
+      if (this.compare(node.key, toKey) > 0) break;
+      result.push(node);
+    }
     return result;
   }
 
+  /**
+   * Get aggregates over the nodes with keys in [fromKey, toKey)
+   *
+   * The integral treats each node's value as holding until the next key in the range,
+   * so it covers [minKey, maxKey); the last node's value is reported as lastValue.
+   * @param {*} fromKey - Lower bound (inclusive)
+   * @param {*} toKey - Upper bound (exclusive)
+   * @returns {Object|null} - {minKey, maxKey, minValue, maxValue, integral, lastValue} or null if no keys match
+   */
+  aggregate(fromKey, toKey) {
+    if (this.combine) throw new Error('Value aggregates are only maintained for numeric values');
+    return this._aggregateRange(this.root, fromKey, toKey, null, null);
+  }
+
   /**
    * Get all nodes in order of increasing key
    * @returns {Array} - Array of nodes
    */
   inOrderTraversal() {
-    const result = [];
-    this._inOrder(this.root, result);
-    return result;
+    return [...this.entries()];
+  }
+
+  /**
+   * Iterate over nodes in key order, lazily, using an explicit stack
+   *
+   * The tree must not be modified while an iteration is in progress.
+   * @param {Object} [options]
+   * @param {*} [options.from] - Key to start at: the first node with a key greater than
+   *   or equal to it, or less than or equal to it when iterating in reverse
+   * @param {boolean} [options.reverse] - Iterate in order of decreasing key
+   * @returns {Generator} - Generator of {key, value} nodes
+   */
+  *entries({ from, reverse = false } = {}) {
+    const stack = [];
+    const near = reverse ? 'right' : 'left';
+    const far = reverse ? 'left' : 'right';
+
+    // Descend to the starting node, stacking every node on the path that comes after it
+    let node = this.root;
+    let offset = null;
+    let shift = null;
+    while (node) {
+      const order = from === undefined ? 0 : this.compare(this._shiftKey(node.key, shift), from);
+      const startsAfter = reverse ? order <= 0 : order >= 0;
+      if (startsAfter) stack.push({ node, offset, shift });
+      offset = this._compose(node.pending, offset);
+      shift = this._composeShifts(shift, node.keyShift);
+      node = startsAfter ? node[near] : node[far];
+    }
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      yield this._entry(current.node, current.offset, current.shift);
+
+      let child = current.node[far];
+      let childOffset = this._compose(current.node.pending, current.offset);
+      let childShift = this._composeShifts(current.shift, current.node.keyShift);
+      while (child) {
+        stack.push({ node: child, offset: childOffset, shift: childShift });
+        childOffset = this._compose(child.pending, childOffset);
+        childShift = this._composeShifts(childShift, child.keyShift);
+        child = child[near];
+      }
+    }
   }
 
   // Private helper methods for tree operations
   _insertNode(node, key, value) {
     // Perform standard BST insert
-    if (!node) return { key, value, height: 1, left: null, right: null };
+    if (!node) return this._createNode(key, value);
 
-    if (key < node.key) {
+    node = this._mutable(node);
+    this._pushDown(node);
+    const order = this.compare(key, node.key);
+    if (order < 0) {
       node.left = this._insertNode(node.left, key, value);
-    } else if (key > node.key) {
+    } else if (order > 0) {
       node.right = this._insertNode(node.right, key, value);
     } else {
       // Key already exists, update value
       node.value = value;
+      this._updateNode(node);
       return node;
     }
 
-    // Update height and balance the tree
-    node.height = 1 + Math.max(this._getHeight(node.left), this._getHeight(node.right));
+    // Update height and aggregates, then balance the tree
+    this._updateNode(node);
     return this._balance(node);
   }
 
+  _buildBalanced(entries, start, end) {
+    if (start >= end) return null;
+
+    const middle = (start + end) >>> 1;
+    const { key, value } = entries[middle];
+    const node = { key, value, height: 1, pending: null, keyShift: null, version: this.version };
+    node.left = this._buildBalanced(entries, start, middle);
+    node.right = this._buildBalanced(entries, middle + 1, end);
+    this._updateNode(node);
+    return node;
+  }
+
   _removeNode(node, key) {
     if (!node) return null;
 
-    if (key < node.key) {
+    node = this._mutable(node);
+    this._pushDown(node);
+    const order = this.compare(key, node.key);
+    if (order < 0) {
       node.left = this._removeNode(node.left, key);
-    } else if (key > node.key) {
+    } else if (order > 0) {
       node.right = this._removeNode(node.right, key);
     } else {
       // Node with the key found
@@ -147,7 +346,7 @@ export class AVLTree {
         node = node.left || node.right;
       } else {
         // Node with two children
-        const successor = this._findMinNode(node.right);
+        const successor = this._findMin(node.right, null, null);
         node.key = successor.key;
         node.value = successor.value;
         node.right = this._removeNode(node.right, successor.key);
@@ -156,65 +355,294 @@ export class AVLTree {
 
     if (!node) return null;
 
-    // Update height and balance the tree
-    node.height = 1 + Math.max(this._getHeight(node.left), this._getHeight(node.right));
+    // Update height and aggregates, then balance the tree
+    this._updateNode(node);
     return this._balance(node);
   }
 
-  _findNode(node, key) {
+  _addToRange(node, fromKey, toKey, amount) {
+    if (!node || this._isOutside(node, fromKey, toKey)) return node;
+
+    // Subtree entirely within the range
+    if (this._isInside(node, fromKey, toKey)) return this._addToSubtree(node, amount);
+
+    node = this._mutable(node);
+    this._pushDown(node);
+    if (this.compare(fromKey, node.key) < 0) node.left = this._addToRange(node.left, fromKey, toKey, amount);
+    if (this._inRange(node.key, fromKey, toKey)) node.value = this._combine(node.value, amount);
+    if (this.compare(toKey, node.key) > 0) node.right = this._addToRange(node.right, fromKey, toKey, amount);
+    this._updateNode(node);
+    return node;
+  }
+
+  _shiftKeys(node, fromKey, delta) {
+    if (!node || this.compare(node.maxKey, fromKey) < 0) return node;
+
+    // Subtree entirely at or after fromKey
+    if (this.compare(node.minKey, fromKey) >= 0) return this._shiftSubtree(node, delta);
+
+    node = this._mutable(node);
+    this._pushDown(node);
+    node.left = this._shiftKeys(node.left, fromKey, delta);
+    if (this.compare(node.key, fromKey) >= 0) node.key = this.advance(node.key, delta);
+    node.right = this._shiftKeys(node.right, fromKey, delta);
+    this._updateNode(node);
+    return node;
+  }
+
+  // Move a whole subtree's keys, deferring it for the children; the integral is unchanged
+  _shiftSubtree(node, delta) {
+    node = this._mutable(node);
+    node.key = this.advance(node.key, delta);
+    node.minKey = this.advance(node.minKey, delta);
+    node.maxKey = this.advance(node.maxKey, delta);
+    node.keyShift = this._composeShifts(node.keyShift, delta);
+    return node;
+  }
+
+  // A key moved by the composed shifts of its node's ancestors
+  _shiftKey(key, shift) {
+    return shift === null ? key : this.advance(key, shift);
+  }
+
+  // Compose two key shifts, `null` meaning no shift
+  _composeShifts(earlier, later) {
+    if (earlier === null) return later;
+    if (later === null) return earlier;
+    return this.addDeltas(earlier, later);
+  }
+
+  // Whether a key is in [fromKey, toKey)
+  _inRange(key, fromKey, toKey) {
+    return this.compare(key, fromKey) >= 0 && this.compare(key, toKey) < 0;
+  }
+
+  // Whether a subtree's keys are all in [fromKey, toKey)
+  _isInside(node, fromKey, toKey, shift = null) {
+    return (
+      this.compare(this._shiftKey(node.minKey, shift), fromKey) >= 0 &&
+      this.compare(this._shiftKey(node.maxKey, shift), toKey) < 0
+    );
+  }
+
+  // Whether a subtree's keys are all outside of [fromKey, toKey)
+  _isOutside(node, fromKey, toKey, shift = null) {
+    return (
+      this.compare(this._shiftKey(node.maxKey, shift), fromKey) < 0 ||
+      this.compare(this._shiftKey(node.minKey, shift), toKey) >= 0
+    );
+  }
+
+  // The distance between two keys as a number, NaN if keys have no distance
+  _length(fromKey, toKey) {
+    return this.distance ? this.distance(fromKey, toKey) : NaN;
+  }
+
+  // Add an amount to a whole subtree, deferring it for the children
+  _addToSubtree(node, amount) {
+    node = this._mutable(node);
+    node.value = this._combine(node.value, amount);
+    if (!this.combine) {
+      node.minValue += amount;
+      node.maxValue += amount;
+      node.lastValue += amount;
+      node.integral += amount * this._length(node.minKey, node.maxKey);
+    }
+    node.pending = this._compose(node.pending, amount);
+    return node;
+  }
+
+  // `node` must be mutable; its children are copied if they are shared
+  _pushDown(node) {
+    if (node.pending !== null) {
+      if (node.left) node.left = this._addToSubtree(node.left, node.pending);
+      if (node.right) node.right = this._addToSubtree(node.right, node.pending);
+      node.pending = null;
+    }
+    if (node.keyShift !== null) {
+      if (node.left) node.left = this._shiftSubtree(node.left, node.keyShift);
+      if (node.right) node.right = this._shiftSubtree(node.right, node.keyShift);
+      node.keyShift = null;
+    }
+  }
+
+  // The node itself if this tree owns it, otherwise a copy owned by this tree
+  _mutable(node) {
+    return node.version === this.version ? node : { ...node, version: this.version };
+  }
+
+  _combine(value, amount) {
+    return this.combine ? this.combine(value, amount) : value + amount;
+  }
+
+  // Compose two pending amounts, `null` meaning nothing is pending
+  _compose(earlier, later) {
+    if (earlier === null) return later;
+    if (later === null) return earlier;
+    return this._combine(earlier, later);
+  }
+
+  // `offset` is the composed pending amounts of the node's ancestors, and `shift` their
+  // composed key shifts; deeper pending amounts were recorded earlier than those of their ancestors
+  _entry(node, offset, shift) {
+    return {
+      key: this._shiftKey(node.key, shift),
+      value: offset === null ? node.value : this._combine(node.value, offset),
+    };
+  }
+
+  _findNode(node, key, offset, shift) {
     if (!node) return null;
-    if (key === node.key) return node;
-    return key < node.key ? this._findNode(node.left, key) : this._findNode(node.right, key);
+    const order = this.compare(key, this._shiftKey(node.key, shift));
+    if (order === 0) return this._entry(node, offset, shift);
+    const child = order < 0 ? node.left : node.right;
+    return this._findNode(child, key, this._compose(node.pending, offset), this._composeShifts(shift, node.keyShift));
   }
 
-  _findLessThan(node, key, lastLess) {
+  _findLessThan(node, key, lastLess, offset, shift) {
     if (!node) return lastLess;
 
-    if (node.key >= key) {
-      return this._findLessThan(node.left, key, lastLess);
+    const childOffset = this._compose(node.pending, offset);
+    const childShift = this._composeShifts(shift, node.keyShift);
+    if (this.compare(this._shiftKey(node.key, shift), key) >= 0) {
+      return this._findLessThan(node.left, key, lastLess, childOffset, childShift);
     }
 
     // Current node key is less than the target key
     // Try to find a better match in the right subtree
-    return this._findLessThan(node.right, key, node);
+    return this._findLessThan(node.right, key, this._entry(node, offset, shift), childOffset, childShift);
   }
 
-  _findGreaterThan(node, key, lastGreater) {
+  _findGreaterThan(node, key, lastGreater, offset, shift) {
     if (!node) return lastGreater;
 
-    if (node.key <= key) {
-      return this._findGreaterThan(node.right, key, lastGreater);
+    const childOffset = this._compose(node.pending, offset);
+    const childShift = this._composeShifts(shift, node.keyShift);
+    if (this.compare(this._shiftKey(node.key, shift), key) <= 0) {
+      return this._findGreaterThan(node.right, key, lastGreater, childOffset, childShift);
     }
 
     // Current node key is greater than the target key
     // Try to find a better match in the left subtree
-    return this._findGreaterThan(node.left, key, node);
+    return this._findGreaterThan(node.left, key, this._entry(node, offset, shift), childOffset, childShift);
   }
 
-  _collectKeysInRange(node, fromKey, toKey, result) {
-    if (!node) return;
+  _findFirst(node, fromKey, predicate, offset, shift) {
+    if (!node || this.compare(this._shiftKey(node.maxKey, shift), fromKey) < 0) return null;
+    if (!this.combine) {
+      const { minValue, maxValue } = this._subtreeAggregate(node, offset, shift);
+      if (!predicate(minValue, maxValue)) return null;
+    }
 
-    if (node.key >= fromKey && node.key <= toKey) {
-      result.push(node.key);
+    const key = this._shiftKey(node.key, shift);
+    const childOffset = this._compose(node.pending, offset);
+    const childShift = this._composeShifts(shift, node.keyShift);
+    if (this.compare(fromKey, key) < 0) {
+      const found = this._findFirst(node.left, fromKey, predicate, childOffset, childShift);
+      if (found) return found;
     }
+    if (this.compare(key, fromKey) >= 0) {
+      const entry = this._entry(node, offset, shift);
+      if (predicate(entry.value, entry.value)) return entry;
+    }
+    return this._findFirst(node.right, fromKey, predicate, childOffset, childShift);
+  }
+
+  _aggregateRange(node, fromKey, toKey, offset, shift) {
+    if (!node || this._isOutside(node, fromKey, toKey, shift)) return null;
+
+    // Subtree entirely within the range
+    if (this._isInside(node, fromKey, toKey, shift)) return this._subtreeAggregate(node, offset, shift);
 
-    if (fromKey < node.key) this._collectKeysInRange(node.left, fromKey, toKey, result);
-    if (toKey > node.key) this._collectKeysInRange(node.right, fromKey, toKey, result);
+    const key = this._shiftKey(node.key, shift);
+    const childOffset = this._compose(node.pending, offset);
+    const childShift = this._composeShifts(shift, node.keyShift);
+    let result = null;
+    if (this.compare(fromKey, key) < 0) {
+      result = this._aggregateRange(node.left, fromKey, toKey, childOffset, childShift);
+    }
+    if (this._inRange(key, fromKey, toKey)) {
+      result = this._mergeAggregates(result, this._singleAggregate(node, offset, shift));
+    }
+    if (this.compare(toKey, key) > 0) {
+      result = this._mergeAggregates(result, this._aggregateRange(node.right, fromKey, toKey, childOffset, childShift));
+    }
+    return result;
+  }
+
+  _subtreeAggregate(node, offset, shift) {
+    if (offset === null) offset = 0;
+    return {
+      minKey: this._shiftKey(node.minKey, shift),
+      maxKey: this._shiftKey(node.maxKey, shift),
+      minValue: node.minValue + offset,
+      maxValue: node.maxValue + offset,
+      integral: node.integral + offset * this._length(node.minKey, node.maxKey),
+      lastValue: node.lastValue + offset,
+    };
   }
 
-  _inOrder(node, result) {
-    if (!node) return;
-    this._inOrder(node.left, result);
-    result.push({ key: node.key, value: node.value });
-    this._inOrder(node.right, result);
+  _singleAggregate(node, offset, shift) {
+    const { key, value } = this._entry(node, offset, shift);
+    return { minKey: key, maxKey: key, minValue: value, maxValue: value, integral: 0, lastValue: value };
   }
 
-  _findMinNode(node) {
-    let current = node;
-    while (current.left) {
-      current = current.left;
+  // Combine the aggregates of two adjacent key ranges, all keys of `a` preceding those of `b`
+  _mergeAggregates(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    return {
+      minKey: a.minKey,
+      maxKey: b.maxKey,
+      minValue: Math.min(a.minValue, b.minValue),
+      maxValue: Math.max(a.maxValue, b.maxValue),
+      integral: a.integral + a.lastValue * this._length(a.maxKey, b.minKey) + b.integral,
+      lastValue: b.lastValue,
+    };
+  }
+
+  _findMin(node, offset, shift) {
+    while (node.left) {
+      offset = this._compose(node.pending, offset);
+      shift = this._composeShifts(shift, node.keyShift);
+      node = node.left;
     }
-    return current;
+    return this._entry(node, offset, shift);
+  }
+
+  _createNode(key, value) {
+    const node = {
+      key,
+      value,
+      height: 1,
+      left: null,
+      right: null,
+      pending: null,
+      keyShift: null,
+      version: this.version,
+    };
+    this._updateNode(node);
+    return node;
+  }
+
+  // Recompute a node's height, key bounds and (for numeric values) value aggregates from its children
+  _updateNode(node) {
+    const { left, right } = node;
+    node.height = 1 + Math.max(this._getHeight(left), this._getHeight(right));
+
+    node.minKey = left ? left.minKey : node.key;
+    node.maxKey = right ? right.maxKey : node.key;
+    if (this.combine) return;
+
+    node.minValue = Math.min(node.value, left ? left.minValue : Infinity, right ? right.minValue : Infinity);
+    node.maxValue = Math.max(node.value, left ? left.maxValue : -Infinity, right ? right.maxValue : -Infinity);
+    node.lastValue = right ? right.lastValue : node.value;
+
+    let integral = 0;
+    if (left) integral += left.integral + left.lastValue * this._length(left.maxKey, node.key);
+    if (right) integral += node.value * this._length(node.key, right.minKey) + right.integral;
+    node.integral = integral;
   }
 
   _getHeight(node) {
@@ -252,27 +680,33 @@ export class AVLTree {
   }
 
   _rotateRight(y) {
-    const x = y.left;
+    y = this._mutable(y);
+    this._pushDown(y);
+    const x = this._mutable(y.left);
+    this._pushDown(x);
     const T2 = x.right;
 
     x.right = y;
     y.left = T2;
 
-    y.height = 1 + Math.max(this._getHeight(y.left), this._getHeight(y.right));
-    x.height = 1 + Math.max(this._getHeight(x.left), this._getHeight(x.right));
+    this._updateNode(y);
+    this._updateNode(x);
 
     return x;
   }
 
   _rotateLeft(x) {
-    const y = x.right;
+    x = this._mutable(x);
+    this._pushDown(x);
+    const y = this._mutable(x.right);
+    this._pushDown(y);
     const T2 = y.left;
 
     y.left = x;
     x.right = T2;
 
-    x.height = 1 + Math.max(this._getHeight(x.left), this._getHeight(x.right));
-    y.height = 1 + Math.max(this._getHeight(y.left), this._getHeight(y.right));
+    this._updateNode(x);
+    this._updateNode(y);
 
     return y;
   }
@@ -39,6 +39,26 @@ describe('AVLTree', () => {
     });
   });
 
+  describe('load', () => {
+    it('should build a balanced tree from sorted entries', () => {
+      const entries = Array.from({ length: 100 }, (_, i) => ({ key: i * 2, value: i }));
+      tree.insert(1000, 1);
+      tree.load(entries);
+
+      expect(checkTreeBalance(tree.root)).to.be.true;
+      expect(tree.inOrderTraversal()).to.deep.equal(entries);
+      expect(tree.aggregate(0, 200).integral).to.equal(
+        entries.slice(0, -1).reduce((sum, { value }) => sum + value * 2, 0),
+      );
+    });
+
+    it('should empty the tree when loading no entries', () => {
+      tree.insert(10, 1);
+      tree.load([]);
+      expect(tree.root).to.be.null;
+    });
+  });
+
   describe('remove', () => {
     beforeEach(() => {
       [10, 5, 15, 3, 7, 13, 17].forEach((key) => tree.insert(key, key));
@@ -107,10 +127,300 @@ describe('AVLTree', () => {
       expect(tree.findNearest(26).key).to.equal(25);
     });
 
+    it('should find the first key at or after a bound whose value matches', () => {
+      tree.addToRange(30, 50, 1000);
+
+      expect(tree.findFirst(0, (min, max) => max > 1000)).to.deep.equal({ key: 30, value: 1300 });
+      expect(tree.findFirst(31, (min, max) => max > 1000)).to.deep.equal({ key: 35, value: 1350 });
+      expect(tree.findFirst(41, (min) => min < 1000)).to.deep.equal({ key: 50, value: 500 });
+      expect(tree.findFirst(0, (min, max) => max > 2000)).to.be.null;
+    });
+
     it('should collect all keys in a range', () => {
       const keys = tree.getKeysInRange(20, 40);
       expect(keys).to.have.members([20, 25, 30, 35, 40]);
     });
+
+    it('should collect all nodes in a range in ascending key order', () => {
+      const nodes = tree.getNodesInRange(22, 40);
+      expect(nodes).to.deep.equal([
+        { key: 25, value: 250 },
+        { key: 30, value: 300 },
+        { key: 35, value: 350 },
+        { key: 40, value: 400 },
+      ]);
+    });
+  });
+
+  describe('aggregate', () => {
+    beforeEach(() => {
+      [
+        [10, 1],
+        [20, 3],
+        [30, -2],
+        [40, 5],
+        [50, 0],
+      ].forEach(([key, value]) => tree.insert(key, value));
+    });
+
+    it('should aggregate nodes with keys in a half-open range', () => {
+      expect(tree.aggregate(15, 50)).to.deep.equal({
+        minKey: 20,
+        maxKey: 40,
+        minValue: -2,
+        maxValue: 5,
+        integral: 3 * 10 + -2 * 10,
+        lastValue: 5,
+      });
+    });
+
+    it('should return null when no keys are in the range', () => {
+      expect(tree.aggregate(21, 29)).to.be.null;
+      expect(tree.aggregate(60, 70)).to.be.null;
+    });
+
+    it('should keep aggregates up to date after updates and removals', () => {
+      tree.update(30, 7);
+      tree.remove(20);
+      expect(tree.aggregate(0, 100)).to.deep.equal({
+        minKey: 10,
+        maxKey: 50,
+        minValue: 0,
+        maxValue: 7,
+        integral: 1 * 20 + 7 * 10 + 5 * 10,
+        lastValue: 0,
+      });
+    });
+
+    it('should match a brute force scan after rotations', () => {
+      const entries = new Map();
+      for (let i = 0; i < 200; i++) {
+        const key = (i * 37) % 101;
+        if (i % 3 === 2) {
+          tree.remove(key);
+          entries.delete(key);
+        } else {
+          tree.insert(key, (i * 13) % 17);
+          entries.set(key, (i * 13) % 17);
+        }
+      }
+      expect(checkTreeBalance(tree.root)).to.be.true;
+
+      const inRange = [...entries].filter(([key]) => key >= 25 && key < 75).sort((a, b) => a[0] - b[0]);
+      const aggregate = tree.aggregate(25, 75);
+      const values = inRange.map(([, value]) => value);
+      let integral = 0;
+      for (let i = 0; i < inRange.length - 1; i++) {
+        integral += inRange[i][1] * (inRange[i + 1][0] - inRange[i][0]);
+      }
+
+      expect(aggregate.minKey).to.equal(inRange[0][0]);
+      expect(aggregate.maxKey).to.equal(inRange[inRange.length - 1][0]);
+      expect(aggregate.minValue).to.equal(Math.min(...values));
+      expect(aggregate.maxValue).to.equal(Math.max(...values));
+      expect(aggregate.integral).to.equal(integral);
+      expect(aggregate.lastValue).to.equal(values[values.length - 1]);
+    });
+  });
+
+  describe('addToRange', () => {
+    beforeEach(() => {
+      [10, 20, 30, 40, 50, 60, 70].forEach((key) => tree.insert(key, 0));
+    });
+
+    it('should add to the values of keys in a half-open range', () => {
+      tree.addToRange(20, 50, 5);
+      expect(tree.inOrderTraversal().map((node) => node.value)).to.deep.equal([0, 5, 5, 5, 0, 0, 0]);
+      expect(tree.find(40).value).to.equal(5);
+      expect(tree.findLessThan(50).value).to.equal(5);
+      expect(tree.findGreaterThan(40).value).to.equal(0);
+    });
+
+    it('should reflect pending amounts in aggregates', () => {
+      tree.addToRange(0, 100, 2);
+      tree.addToRange(30, 60, -3);
+      expect(tree.aggregate(20, 70)).to.deep.equal({
+        minKey: 20,
+        maxKey: 60,
+        minValue: -1,
+        maxValue: 2,
+        integral: 2 * 10 + -1 * 30,
+        lastValue: 2,
+      });
+    });
+
+    it('should keep values correct through later insertions and removals', () => {
+      const entries = new Map([10, 20, 30, 40, 50, 60, 70].map((key) => [key, 0]));
+      for (let i = 0; i < 100; i++) {
+        const from = (i * 29) % 80;
+        const to = from + ((i * 7) % 30);
+        tree.addToRange(from, to, i);
+        for (const key of entries.keys()) {
+          if (key >= from && key < to) entries.set(key, entries.get(key) + i);
+        }
+
+        const key = (i * 31) % 97;
+        if (i % 2) {
+          tree.remove(key);
+          entries.delete(key);
+        } else {
+          tree.insert(key, -i);
+          entries.set(key, -i);
+        }
+      }
+
+      expect(checkTreeBalance(tree.root)).to.be.true;
+      expect(tree.inOrderTraversal()).to.deep.equal(
+        [...entries].sort((a, b) => a[0] - b[0]).map(([key, value]) => ({ key, value })),
+      );
+    });
+  });
+
+  describe('custom combine', () => {
+    beforeEach(() => {
+      tree = new AVLTree({ combine: (value, amount) => value + amount });
+      ['a', 'b', 'c', 'd', 'e'].forEach((value, i) => tree.insert((i + 1) * 10, value));
+    });
+
+    it('should combine amounts in the order they were added', () => {
+      tree.addToRange(0, 100, '1');
+      tree.addToRange(20, 40, '2');
+      tree.addToRange(30, 60, '3');
+      tree.insert(35, 'x');
+      tree.remove(20);
+
+      expect(tree.inOrderTraversal().map((node) => node.value)).to.deep.equal(['a1', 'c123', 'x', 'd13', 'e13']);
+      expect(tree.find(40).value).to.equal('d13');
+    });
+
+    it('should not maintain value aggregates', () => {
+      expect(() => tree.aggregate(0, 100)).to.throw('only maintained for numeric values');
+    });
+  });
+
+  describe('custom key order', () => {
+    it('should order keys with a comparator', () => {
+      tree = new AVLTree({ compare: (a, b) => b - a });
+      [10, 30, 20].forEach((key) => tree.insert(key, key));
+
+      expect(tree.inOrderTraversal().map((node) => node.key)).to.deep.equal([30, 20, 10]);
+      expect(tree.findGreaterThan(30).key).to.equal(20);
+    });
+
+    it('should find the nearest BigInt key with a distance function', () => {
+      tree = new AVLTree({ distance: (a, b) => Number(b - a) });
+      [10n, 20n, 30n].forEach((key) => tree.insert(key, 1));
+
+      expect(tree.findNearest(24n).key).to.equal(20n);
+      expect(tree.findNearest(26n).key).to.equal(30n);
+      expect(tree.aggregate(0n, 40n).integral).to.equal(20);
+    });
+
+    it('should require a distance for findNearest', () => {
+      tree = new AVLTree({ distance: null });
+      ['a', 'c'].forEach((key) => tree.insert(key, 1));
+
+      expect(tree.find('c').value).to.equal(1);
+      expect(() => tree.findNearest('b')).to.throw('requires a distance function');
+    });
+  });
+
+  describe('clone', () => {
+    it('should share nodes until either tree is modified', () => {
+      [10, 20, 30, 40, 50].forEach((key) => tree.insert(key, 1));
+      const copy = tree.clone();
+      expect(copy.root).to.equal(tree.root);
+
+      tree.addToRange(20, 40, 5);
+      tree.remove(50);
+      copy.insert(25, 2);
+      copy.addToRange(0, 100, 1);
+
+      expect(tree.inOrderTraversal()).to.deep.equal([
+        { key: 10, value: 1 },
+        { key: 20, value: 6 },
+        { key: 30, value: 6 },
+        { key: 40, value: 1 },
+      ]);
+      expect(copy.inOrderTraversal().map((node) => node.value)).to.deep.equal([2, 2, 3, 2, 2, 2]);
+      expect(copy.aggregate(10, 50).integral).to.equal(2 * 10 + 2 * 5 + 3 * 5 + 2 * 10);
+    });
+
+    it('should keep clones of clones independent', () => {
+      [1, 2, 3, 4, 5, 6, 7].forEach((key) => tree.insert(key, key));
+      tree.addToRange(0, 10, 10);
+      const first = tree.clone();
+      const second = first.clone();
+
+      for (let key = 8; key < 20; key++) second.insert(key, 0);
+      first.remove(4);
+      tree.addToRange(3, 5, 1);
+
+      expect(tree.inOrderTraversal().map((node) => node.value)).to.deep.equal([11, 12, 14, 15, 15, 16, 17]);
+      expect(first.getKeysInRange(0, 10)).to.deep.equal([1, 2, 3, 5, 6, 7]);
+      expect(second.inOrderTraversal()).to.have.length(19);
+      expect(second.find(4).value).to.equal(14);
+    });
+  });
+
+  describe('shiftKeys', () => {
+    beforeEach(() => {
+      [10, 20, 30, 40, 50, 60, 70].forEach((key) => tree.insert(key, key / 10));
+    });
+
+    it('should move every key from a bound onwards', () => {
+      tree.shiftKeys(35, 100);
+
+      expect(tree.getKeysInRange(0, 1000)).to.deep.equal([10, 20, 30, 140, 150, 160, 170]);
+      expect(tree.find(150).value).to.equal(5);
+      expect(tree.findLessThan(140).key).to.equal(30);
+      expect(tree.findGreaterThan(30).key).to.equal(140);
+      expect(tree.aggregate(0, 145)).to.include({ minKey: 10, maxKey: 140, integral: 10 + 20 + 3 * 110 });
+    });
+
+    it('should compose lazy shifts with inserts, removals and range additions', () => {
+      tree.shiftKeys(35, 100);
+      tree.shiftKeys(0, -5);
+      tree.addToRange(100, 200, 10);
+      tree.insert(100, 0);
+      tree.remove(25);
+      tree.shiftKeys(150, 1);
+
+      expect(tree.inOrderTraversal()).to.deep.equal([
+        { key: 5, value: 1 },
+        { key: 15, value: 2 },
+        { key: 100, value: 0 },
+        { key: 135, value: 14 },
+        { key: 145, value: 15 },
+        { key: 156, value: 16 },
+        { key: 166, value: 17 },
+      ]);
+      expect(tree.findFirst(140, (min, max) => max > 15)).to.deep.equal({ key: 156, value: 16 });
+    });
+
+    it('should compose BigInt deltas', () => {
+      tree = new AVLTree();
+      [10n, 20n, 30n, 40n, 50n].forEach((key) => tree.insert(key, 1));
+      tree.shiftKeys(25n, 2n ** 60n);
+      tree.shiftKeys(0n, -5n);
+      tree.shiftKeys(45n, 0n);
+
+      expect(tree.inOrderTraversal().map(({ key }) => key)).to.deep.equal([
+        5n,
+        15n,
+        2n ** 60n + 25n,
+        2n ** 60n + 35n,
+        2n ** 60n + 45n,
+      ]);
+      expect(tree.find(2n ** 60n + 35n)).to.deep.equal({ key: 2n ** 60n + 35n, value: 1 });
+    });
+
+    it('should leave clones unaffected', () => {
+      const copy = tree.clone();
+      tree.shiftKeys(0, 1);
+      expect(copy.getKeysInRange(0, 100)).to.deep.equal([10, 20, 30, 40, 50, 60, 70]);
+      expect(tree.getKeysInRange(0, 100)).to.deep.equal([11, 21, 31, 41, 51, 61, 71]);
+    });
   });
 
   describe('traversal', () => {
@@ -123,6 +433,45 @@ describe('AVLTree', () => {
 
       expect(resultKeys).to.deep.equal([20, 30, 40, 50, 60, 70, 80]);
     });
+
+    it('should iterate lazily from a given key', () => {
+      [50, 30, 70, 20, 40, 60, 80].forEach((key) => tree.insert(key, key));
+
+      const keys = [];
+      for (const node of tree.entries({ from: 45 })) {
+        keys.push(node.key);
+        if (node.key === 70) break;
+      }
+      expect(keys).to.deep.equal([50, 60, 70]);
+      expect([...tree.entries({ from: 60 })].map((node) => node.key)).to.deep.equal([60, 70, 80]);
+      expect([...tree.entries({ from: 90 })]).to.deep.equal([]);
+    });
+
+    it('should iterate in reverse, optionally from a given key', () => {
+      [50, 30, 70, 20, 40, 60, 80].forEach((key) => tree.insert(key, key));
+
+      expect([...tree.entries({ reverse: true })].map((node) => node.key)).to.deep.equal([80, 70, 60, 50, 40, 30, 20]);
+      expect([...tree.entries({ from: 55, reverse: true })].map((node) => node.key)).to.deep.equal([50, 40, 30, 20]);
+      expect([...tree.entries({ from: 10, reverse: true })]).to.deep.equal([]);
+    });
+
+    it('should include pending amounts in iterated values', () => {
+      [10, 20, 30, 40, 50].forEach((key) => tree.insert(key, 0));
+      tree.addToRange(0, 100, 1);
+      tree.addToRange(20, 40, 2);
+
+      expect([...tree.entries({ from: 15 })].map((node) => node.value)).to.deep.equal([3, 3, 1, 1]);
+      expect([...tree.entries({ reverse: true })].map((node) => node.value)).to.deep.equal([1, 1, 3, 3, 1]);
+    });
+
+    it('should traverse large trees built from sorted input', () => {
+      const keys = Array.from({ length: 20000 }, (_, key) => key);
+      tree.load(keys.map((key) => ({ key, value: key })));
+
+      const traversed = Array.from(tree.entries(), (node) => node.key);
+      expect(traversed).to.have.length(keys.length);
+      expect(traversed.every((key, i) => key === i)).to.be.true;
+    });
   });
 });
 
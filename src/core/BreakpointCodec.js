@@ -0,0 +1,141 @@
+import { RangeListError } from './RangeListError.js';
+
+const VERSION = 1;
+const INTEGER_POSITIONS = 1;
+const INTEGER_INTENSITIES = 2;
+
+// Largest magnitude whose zigzag encoding is still a safe integer
+const MAX_VARINT_MAGNITUDE = 2 ** 51;
+
+/**
+ * BreakpointCodec - Compact binary encoding for [position, intensity] breakpoints
+ *
+ * Layout: a version byte, a flags byte, the breakpoint count as a varint, then all
+ * positions followed by all intensities. Integer positions are stored as the first
+ * position followed by the (always positive) deltas between consecutive positions, as
+ * varints, so dense lists take a byte or two per position. Integer intensities are
+ * stored as zigzag varints. Anything else falls back to little-endian float64 values.
+ */
+export class BreakpointCodec {
+  /**
+   * Encode breakpoints to bytes
+   * @param {Array} breakpoints - Array of [position, intensity] pairs in order of increasing position
+   * @returns {Uint8Array} - The encoded bytes
+   */
+  static encode(breakpoints) {
+    const positions = breakpoints.map(([position]) => position);
+    const intensities = breakpoints.map(([, intensity]) => intensity);
+    const integerPositions = positions.every(BreakpointCodec._isVarintSafe);
+    const integerIntensities = intensities.every(BreakpointCodec._isVarintSafe);
+
+    const bytes = [
+      VERSION,
+      (integerPositions ? INTEGER_POSITIONS : 0) | (integerIntensities ? INTEGER_INTENSITIES : 0),
+    ];
+    BreakpointCodec._writeVarint(bytes, breakpoints.length);
+
+    if (integerPositions) {
+      positions.forEach((position, i) => {
+        if (i === 0) BreakpointCodec._writeVarint(bytes, BreakpointCodec._zigzag(position));
+        else BreakpointCodec._writeVarint(bytes, position - positions[i - 1]);
+      });
+    } else {
+      positions.forEach((position) => BreakpointCodec._writeFloat(bytes, position));
+    }
+
+    if (integerIntensities) {
+      intensities.forEach((intensity) => BreakpointCodec._writeVarint(bytes, BreakpointCodec._zigzag(intensity)));
+    } else {
+      intensities.forEach((intensity) => BreakpointCodec._writeFloat(bytes, intensity));
+    }
+
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Decode bytes produced by encode
+   * @param {Uint8Array} bytes - The encoded bytes
+   * @returns {Array} - Array of [position, intensity] pairs
+   * @throws {RangeListError} - If the bytes are truncated, have trailing data or an unknown version
+   */
+  static decode(bytes) {
+    const reader = { bytes, offset: 0 };
+    const version = BreakpointCodec._readByte(reader);
+    if (version !== VERSION) throw new RangeListError(`Unsupported binary format version: ${version}`);
+
+    const flags = BreakpointCodec._readByte(reader);
+    const count = BreakpointCodec._readVarint(reader);
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      if (!(flags & INTEGER_POSITIONS)) {
+        positions.push(BreakpointCodec._readFloat(reader));
+      } else if (i === 0) {
+        positions.push(BreakpointCodec._unzigzag(BreakpointCodec._readVarint(reader)));
+      } else {
+        positions.push(positions[i - 1] + BreakpointCodec._readVarint(reader));
+      }
+    }
+
+    const breakpoints = positions.map((position) => {
+      const intensity =
+        flags & INTEGER_INTENSITIES
+          ? BreakpointCodec._unzigzag(BreakpointCodec._readVarint(reader))
+          : BreakpointCodec._readFloat(reader);
+      return [position, intensity];
+    });
+    if (reader.offset !== bytes.length) throw new RangeListError('Unexpected data after the breakpoints');
+    return breakpoints;
+  }
+
+  static _isVarintSafe(value) {
+    return Number.isInteger(value) && Math.abs(value) <= MAX_VARINT_MAGNITUDE;
+  }
+
+  // Arithmetic rather than bitwise operators, which would truncate to 32 bits
+  static _zigzag(value) {
+    return value < 0 ? -2 * value - 1 : 2 * value;
+  }
+
+  static _unzigzag(value) {
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  static _writeVarint(bytes, value) {
+    while (value >= 128) {
+      bytes.push((value % 128) + 128);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+
+  static _readVarint(reader) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = BreakpointCodec._readByte(reader);
+      value += (byte % 128) * scale;
+      scale *= 128;
+    } while (byte >= 128);
+    return value;
+  }
+
+  static _writeFloat(bytes, value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value, true);
+    for (let i = 0; i < 8; i++) bytes.push(view.getUint8(i));
+  }
+
+  static _readFloat(reader) {
+    const { bytes, offset } = reader;
+    if (offset + 8 > bytes.length) throw new RangeListError('Unexpected end of binary data');
+    reader.offset += 8;
+    return new DataView(bytes.buffer, bytes.byteOffset + offset, 8).getFloat64(0, true);
+  }
+
+  static _readByte(reader) {
+    if (reader.offset >= reader.bytes.length) throw new RangeListError('Unexpected end of binary data');
+    return reader.bytes[reader.offset++];
+  }
+}
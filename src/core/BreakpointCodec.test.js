@@ -0,0 +1,53 @@
+import { expect } from 'chai';
+import { BreakpointCodec } from './BreakpointCodec.js';
+import { RangeListError } from './RangeListError.js';
+
+describe('BreakpointCodec', () => {
+  const roundTrip = (breakpoints) => BreakpointCodec.decode(BreakpointCodec.encode(breakpoints));
+
+  it('should round-trip integer breakpoints', () => {
+    const breakpoints = [
+      [-1000, 1],
+      [-500, -2],
+      [0, 3],
+      [2 ** 40, 0],
+    ];
+    expect(roundTrip(breakpoints)).to.deep.equal(breakpoints);
+  });
+
+  it('should round-trip fractional positions and intensities', () => {
+    const breakpoints = [
+      [0.1, 0.3],
+      [0.30000000000000004, -1.5],
+      [10, 0],
+    ];
+    expect(roundTrip(breakpoints)).to.deep.equal(breakpoints);
+  });
+
+  it('should round-trip an empty list', () => {
+    expect(roundTrip([])).to.deep.equal([]);
+  });
+
+  it('should store dense integer positions as small deltas', () => {
+    const breakpoints = Array.from({ length: 1000 }, (_, i) => [1700000000 + i * 10, i % 2]);
+    const bytes = BreakpointCodec.encode(breakpoints);
+    expect(bytes.length).to.be.below(2 * breakpoints.length + 16);
+    expect(BreakpointCodec.decode(bytes)).to.deep.equal(breakpoints);
+  });
+
+  it('should reject truncated data, trailing data and unknown versions', () => {
+    const bytes = BreakpointCodec.encode([[0.5, 1]]);
+    expect(() => BreakpointCodec.decode(bytes.subarray(0, bytes.length - 3))).to.throw(
+      RangeListError,
+      'Unexpected end of binary data',
+    );
+    expect(() => BreakpointCodec.decode(Uint8Array.of(...bytes, 0))).to.throw(
+      RangeListError,
+      'Unexpected data after the breakpoints',
+    );
+    expect(() => BreakpointCodec.decode(Uint8Array.of(9, 0, 0))).to.throw(
+      RangeListError,
+      'Unsupported binary format version: 9',
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+import { RangeList } from './RangeList.js';
+
+/**
+ * RangeList that rescans every breakpoint after each mutation, the way cleanup used to work
+ */
+class FullScanRangeList extends RangeList {
+  _removeIfRedundant() {
+    const points = this.tree.inOrderTraversal();
+    let previous = 0;
+    for (const point of points) {
+      if (point.value === previous) this.tree.remove(point.key);
+      previous = point.value;
+    }
+  }
+}
+
+function populate(rangeList, breakpoints) {
+  for (let i = 0; i < breakpoints / 2; i++) {
+    rangeList.add(i * 10, i * 10 + 5, (i % 3) + 1);
+  }
+}
+
+function timeTinyAdds(rangeList, count) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < count; i++) {
+    const from = (i * 7919) % 100000;
+    rangeList.add(from, from + 1, 1);
+    rangeList.add(from, from + 1, -1);
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+describe('RangeList benchmarks', function () {
+  this.timeout(30000);
+
+  it('should clean up locally much faster than rescanning every breakpoint', () => {
+    const local = new RangeList();
+    const fullScan = new FullScanRangeList();
+    populate(local, 20000);
+    for (const [position, intensity] of local.toArray()) fullScan.tree.insert(position, intensity);
+
+    // Warm up before timing
+    timeTinyAdds(local, 200);
+    const localMs = timeTinyAdds(local, 200);
+    const fullScanMs = timeTinyAdds(fullScan, 200);
+    console.log(
+      `      400 tiny adds on 20000 breakpoints: ${localMs.toFixed(1)}ms local, ${fullScanMs.toFixed(1)}ms full scan`,
+    );
+
+    expect(local.toArray()).to.deep.equal(fullScan.toArray());
+    expect(localMs * 10).to.be.below(fullScanMs);
+  });
+
+  it('should keep the cost of a tiny add nearly flat as the list grows', () => {
+    const small = new RangeList();
+    const large = new RangeList();
+    populate(small, 2000);
+    populate(large, 64000);
+
+    // Warm up before timing
+    timeTinyAdds(small, 2000);
+    const smallMs = timeTinyAdds(small, 5000);
+    const largeMs = timeTinyAdds(large, 5000);
+    console.log(`      10000 tiny adds: ${smallMs.toFixed(1)}ms on 2000 breakpoints, ${largeMs.toFixed(1)}ms on 64000`);
+
+    // A linear cleanup would be ~32x slower on the larger list
+    expect(largeMs).to.be.below(smallMs * 8);
+  });
+});
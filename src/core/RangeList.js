@@ -1,36 +1,159 @@
 import { AVLTree } from './AVLTree.js';
+import { BreakpointCodec } from './BreakpointCodec.js';
+import { InvalidAmountError, InvalidBreakpointsError, InvalidRangeError, RangeListError } from './RangeListError.js';
+import { numericAlgebra } from './algebras.js';
+import { numberOrder } from './orders.js';
+import { SegmentTree } from './SegmentTree.js';
+
+const OPERATORS = {
+  add: (a, b) => a + b,
+  subtract: (a, b) => a - b,
+  multiply: (a, b) => a * b,
+  min: Math.min,
+  max: Math.max,
+};
+
+// Each reducer turns the length-weighted stats of a bucket into its value
+const REDUCERS = {
+  average: ({ sum, length }) => sum / length,
+  max: ({ max }) => max,
+  min: ({ min }) => min,
+  coverage: ({ covered, length }) => covered / length,
+};
+
 /**
  * RangeList - Manages intensity values across numeric ranges
+ *
+ * Intensities are numbers by default; the `algebra` option allows any value type whose
+ * amounts combine associatively and commutatively (see algebras.js). Likewise positions are
+ * numbers by default, and the `order` option allows BigInts, Dates, strings or any other
+ * ordered type (see orders.js).
+ *
+ * Ranges are half-open [from, to) over a continuous domain by default. In the 'integer'
+ * domain positions are integers and every `to` argument and result is inclusive instead:
+ * [from, to] is stored as [from, to + 1), so adjacent ranges such as [1, 3] and [4, 5] share
+ * a breakpoint and merge like any other.
  */
 export class RangeList {
-  constructor() {
-    this.tree = new AVLTree();
+  /**
+   * @param {Array} [breakpoints] - Initial [position, intensity] pairs, as produced by toArray()
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Throw on invalid add/set arguments instead of ignoring them
+   * @param {Object} [options.algebra] - Value algebra for intensities (default numericAlgebra)
+   * @param {Object} [options.order] - Order of positions (default numberOrder)
+   * @param {string} [options.domain] - 'continuous' for [from, to) ranges (default) or 'integer'
+   *   for inclusive [from, to] ranges of integer positions
+   * @param {*} [options.base] - Intensity everywhere outside of the breakpoints (default the algebra's identity)
+   * @param {number} [options.epsilon] - Treat intensities within epsilon of each other as equal
+   * @param {Function} [options.equals] - Custom (a, b) => boolean intensity equality, overriding epsilon
+   * @param {number} [options.historyLimit] - Number of changes undo() can revert (default 0, no history)
+   */
+  constructor(breakpoints = [], options = {}) {
+    const algebra = options.algebra || numericAlgebra;
+    const order = options.order || numberOrder;
+    this.options = {
+      strict: false,
+      base: algebra.identity,
+      historyLimit: 0,
+      domain: 'continuous',
+      ...options,
+      algebra,
+      order,
+    };
+    if (this.options.domain !== 'continuous' && this.options.domain !== 'integer') {
+      throw new RangeListError(`Unknown domain: ${this.options.domain}`);
+    }
+    if (this.options.domain === 'integer' && !(order.advance && order.isInteger)) {
+      throw new RangeListError('The integer domain requires an order with advance and isInteger');
+    }
+    this._equals = this._createEquals(this.options);
+    this.tree = this._createTree();
+    this._validateBreakpoints(breakpoints);
+    this.tree.load(breakpoints.map(([key, value]) => ({ key, value })));
+    this._undoStack = [];
+    this._redoStack = [];
+    this._listeners = { change: [] };
+  }
+
+  /**
+   * Restore a range list from its JSON representation
+   * @param {string|Array} json - A JSON string or the already parsed output of toJSON()
+   * @param {Object} [options] - Options as for the constructor
+   * @returns {RangeList} - The restored range list
+   */
+  static fromJSON(json, options) {
+    return new RangeList(typeof json === 'string' ? JSON.parse(json) : json, options);
+  }
+
+  /**
+   * Restore a range list from its binary encoding
+   * @param {Uint8Array} bytes - Bytes produced by toBinary()
+   * @param {Object} [options] - Options as for the constructor
+   * @returns {RangeList} - The restored range list
+   */
+  static fromBinary(bytes, options) {
+    return new RangeList(BreakpointCodec.decode(bytes), options);
   }
 
   /**
    * Add intensity to a specific range
-   * @param {number} from - Start of range (inclusive)
-   * @param {number} to - End of range (exclusive)
-   * @param {number} amount - Intensity amount to add
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to add
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
    */
   add(from, to, amount) {
-    if (from >= to || amount === 0) return;
+    const { algebra } = this.options;
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, amount) || algebra.equals(amount, algebra.identity)) return;
 
-    this._ensurePointExists(from);
-    this._ensurePointExists(to);
-    this._adjustIntensities(from, to, amount);
-    this._cleanupRedundantPoints();
+    const operation = { op: 'add', from, to, amount };
+    this._record(operation);
+    this._notify(operation, () => this._add(from, end, amount));
   }
 
   /**
    * Set intensity for a specific range
-   * @param {number} from - Start of range (inclusive)
-   * @param {number} to - End of range (exclusive)
-   * @param {number} amount - Intensity amount to set
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to set
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
    */
   set(from, to, amount) {
-    if (from >= to) return;
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, amount)) return;
+
+    const operation = { op: 'set', from, to, amount };
+    this._record(operation);
+    this._notify(operation, () => this._set(from, end, amount));
+  }
+
+  /**
+   * Add intensity to a valid, non-empty range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to add
+   * @private
+   */
+  _add(from, to, amount) {
+    this._ensurePointExists(from);
+    this._ensurePointExists(to);
+    this.tree.addToRange(from, to, amount);
 
+    // Only the boundaries can have become redundant: points inside the range keep their
+    // difference to the preceding point
+    this._removeIfRedundant(from);
+    this._removeIfRedundant(to);
+  }
+
+  /**
+   * Set intensity for a valid, non-empty range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to set
+   * @private
+   */
+  _set(from, to, amount) {
     // Get the intensity at the 'to' position before making any changes
     const intensityAfterRange = this._getIntensityAt(to);
 
@@ -45,17 +168,1274 @@ export class RangeList {
     this.tree.update(from, amount);
     this.tree.update(to, intensityAfterRange);
 
-    this._cleanupRedundantPoints();
+    this._removeIfRedundant(from);
+    this._removeIfRedundant(to);
+  }
+
+  /**
+   * Apply a batch of add/set operations, in order, with a single sweep over their boundaries
+   *
+   * The result is the same as calling add/set for each operation, but the tree is rebuilt
+   * once in O(n) instead of being rebalanced and cleaned up after every operation.
+   * @param {Array} operations - Array of {op: 'add'|'set', from, to, amount} objects
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if any operation is invalid
+   */
+  applyBatch(operations) {
+    for (const { op } of operations) {
+      if (op !== 'add' && op !== 'set') throw new RangeListError(`Unknown operation: ${op}`);
+    }
+
+    // Validate everything up front so a strict batch is applied entirely or not at all
+    const ops = operations.filter(({ from, to, amount }) => this._isApplicable(from, this._end(to), amount));
+    if (ops.length === 0) return;
+
+    const operation = { op: 'batch', operations: ops };
+    this._record(operation);
+    this._notify(operation, () => this._applyBatch(ops.map((op) => ({ ...op, to: this._end(op.to) }))));
+  }
+
+  /**
+   * Apply a batch of valid, non-empty operations
+   * @param {Array} ops - Array of {op: 'add'|'set', from, to, amount} objects
+   * @private
+   */
+  _applyBatch(ops) {
+    const { algebra } = this.options;
+    const events = [];
+    ops.forEach(({ from, to }, index) => {
+      events.push({ position: from, index, start: true }, { position: to, index, start: false });
+    });
+    events.sort((a, b) => this._compare(a.position, b.position));
+
+    const existing = this.tree.inOrderTraversal();
+    // Active sets keyed by operation index: only the latest one matters at any position
+    const activeSets = new AVLTree();
+    // Active add amounts by operation index: only adds after the latest set apply. Their sums
+    // are recombined from the active amounts, so an ended add leaves no rounding error behind
+    const activeAdds = new SegmentTree(ops.length, algebra);
+    let activeAddCount = 0;
+
+    const breakpoints = [];
+    let previousIntensity = this.options.base;
+    let existingIntensity = this.options.base;
+    let e = 0;
+    let x = 0;
+
+    while (e < events.length || x < existing.length) {
+      const position = this._earliest(
+        e < events.length ? events[e].position : undefined,
+        x < existing.length ? existing[x].key : undefined,
+      );
+
+      while (x < existing.length && this._compare(existing[x].key, position) === 0) {
+        existingIntensity = existing[x++].value;
+      }
+      while (e < events.length && this._compare(events[e].position, position) === 0) {
+        const { index, start } = events[e++];
+        const { op, amount } = ops[index];
+        if (op === 'add') {
+          activeAdds.set(index, start ? amount : algebra.identity);
+          activeAddCount += start ? 1 : -1;
+        } else if (start) {
+          activeSets.insert(index, amount);
+        } else {
+          activeSets.remove(index);
+        }
+      }
+
+      const lastSet = activeSets.findLessThan(Infinity);
+      let intensity = lastSet ? lastSet.value : existingIntensity;
+      if (activeAddCount > 0) {
+        intensity = algebra.combine(intensity, activeAdds.suffixSum(lastSet ? lastSet.key + 1 : 0));
+      }
+
+      if (!this._equals(intensity, previousIntensity)) {
+        breakpoints.push({ key: position, value: intensity });
+        previousIntensity = intensity;
+      }
+    }
+
+    this.tree.load(breakpoints);
+  }
+
+  /**
+   * Apply operations produced by diff(), as a single batch
+   * @param {Array} operations - Array of {op: 'set', from, to, amount} objects
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if any operation is invalid
+   */
+  patch(operations) {
+    this.applyBatch(operations);
+  }
+
+  /**
+   * Create a range list from a batch of add/set operations
+   * @param {Array} operations - Array of {op: 'add'|'set', from, to, amount} objects
+   * @param {Object} [options] - Options as for the constructor
+   * @returns {RangeList} - The new range list
+   */
+  static fromOperations(operations, options) {
+    const rangeList = new RangeList([], options);
+    rangeList.applyBatch(operations);
+    return rangeList;
+  }
+
+  /**
+   * Reset a range to the base intensity
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @throws {InvalidRangeError} - In strict mode, if the range is invalid
+   */
+  clear(from, to) {
+    const { base } = this.options;
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, base)) return;
+
+    const operation = { op: 'clear', from, to };
+    this._record(operation);
+    this._notify(operation, () => this._set(from, end, base));
+  }
+
+  /**
+   * Keep only the intensities within a window, resetting everything outside of it to the
+   * base intensity
+   * @param {*} from - Start of the window (inclusive)
+   * @param {*} to - End of the window (exclusive)
+   * @throws {InvalidRangeError} - In strict mode, if the range is invalid
+   */
+  clip(from, to) {
+    const { base } = this.options;
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, base)) return;
+
+    const entries = [{ key: from, value: this._getIntensityAt(from) }];
+    for (const [key, value] of this.entries(from, to)) entries.push({ key, value });
+    entries.push({ key: end, value: base });
+    this._replaceTree({ op: 'clip', from, to }, this._buildTree(entries));
+  }
+
+  /**
+   * Move every breakpoint by the same distance
+   * @param {*} delta - The distance to move by, as accepted by the order's advance
+   * @throws {RangeListError} - If the order has no advance or the delta is invalid
+   */
+  shift(delta) {
+    const advance = this._getAdvance('shift');
+    const entries = [...this.tree.entries()].map(({ key, value }) => ({ key: advance(key, delta), value }));
+    if (!entries.every(({ key }) => this._isValidPosition(key))) {
+      throw new RangeListError(`Invalid delta: ${String(delta)}`);
+    }
+    this._replaceTree({ op: 'shift', delta }, this._buildTree(entries));
+  }
+
+  /**
+   * Move the intensities within a range by a distance, as if cutting and pasting them
+   *
+   * The range is reset to the base intensity, and the moved intensities replace those at
+   * their destination.
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} delta - The distance to move by, as accepted by the order's advance
+   * @throws {InvalidRangeError} - In strict mode, if the range is invalid
+   * @throws {RangeListError} - If the order has no advance or the delta is invalid
+   */
+  shiftRange(from, to, delta) {
+    const advance = this._getAdvance('shiftRange');
+    const { base } = this.options;
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, base)) return;
+    if (!this._isValidPosition(advance(from, delta)) || !this._isValidPosition(advance(end, delta))) {
+      throw new RangeListError(`Invalid delta: ${String(delta)}`);
+    }
+
+    const operation = { op: 'shiftRange', from, to, delta };
+    this._record(operation);
+    this._notify(operation, () => {
+      const segments = [...this._segments(from, end)];
+      this._set(from, end, base);
+      for (const segment of segments) {
+        this._set(advance(segment.from, delta), advance(segment.to, delta), segment.intensity);
+      }
+    });
+  }
+
+  /**
+   * Insert a span of positions, moving every breakpoint at or after a position later
+   *
+   * The inserted span continues the intensity just before `at`, like typing inside a
+   * decorated range of text. Later breakpoints are moved lazily in O(log n).
+   * @param {*} at - The position to insert at
+   * @param {number} length - The length to insert, as accepted by the order's advance
+   * @throws {InvalidRangeError} - In strict mode, if the position or length is invalid
+   * @throws {RangeListError} - If the order has no advance
+   */
+  insertGap(at, length) {
+    const advance = this._getAdvance('insertGap');
+    const end = this._isValidPosition(at) ? advance(at, length) : undefined;
+    if (!this._isApplicable(at, end, this.options.base)) return;
+
+    const operation = { op: 'insertGap', at, length };
+    this._record(operation);
+    this._notify(operation, () => this.tree.shiftKeys(at, length));
+  }
+
+  /**
+   * Delete a span of positions, moving every later breakpoint back by its length
+   *
+   * Breakpoints inside the span are removed in O(k log n); later ones are moved lazily in
+   * O(log n).
+   * @param {*} from - Start of the span (inclusive)
+   * @param {*} to - End of the span (exclusive)
+   * @throws {InvalidRangeError} - In strict mode, if the span is invalid
+   * @throws {RangeListError} - If the order has no distance or advance
+   */
+  deleteSpan(from, to) {
+    this._getAdvance('deleteSpan');
+    const { base, order } = this.options;
+    if (!order.distance) throw new RangeListError('deleteSpan requires an order with a distance');
+    const end = this._end(to);
+    if (!this._isApplicable(from, end, base)) return;
+
+    const operation = { op: 'deleteSpan', from, to };
+    this._record(operation);
+    this._notify(operation, () => {
+      // The intensity at the end moves to 'from'
+      this._ensurePointExists(end);
+      this._removePointsInRange(from, end);
+      this.tree.remove(from);
+      this.tree.shiftKeys(end, -(order.span || order.distance)(from, end));
+      this._removeIfRedundant(from);
+    });
+  }
+
+  /**
+   * Multiply every breakpoint position by a factor
+   * @param {number} factor - A positive, finite factor
+   * @throws {RangeListError} - If the factor is invalid or positions are not numbers
+   */
+  scale(factor) {
+    if (!this.options.order.numeric) throw new RangeListError('scale requires numeric positions');
+    if (this.options.domain === 'integer') throw new RangeListError('scale requires the continuous domain');
+    if (!(factor > 0) || !Number.isFinite(factor)) throw new RangeListError(`Invalid factor: ${String(factor)}`);
+
+    const entries = [...this.tree.entries()].map(({ key, value }) => ({ key: key * factor, value }));
+    this._replaceTree({ op: 'scale', factor }, this._buildTree(entries));
+  }
+
+  /**
+   * Combine two range lists position by position
+   *
+   * Walks both lists' breakpoints once, lazily and in order, so this is O(n + m). Both lists
+   * must use the same position order. The result takes its options from `a`, with the base
+   * intensity combined from both lists' bases.
+   * @param {RangeList} a - The first range list
+   * @param {RangeList} b - The second range list
+   * @param {string|Function} op - 'add', 'subtract', 'multiply', 'min', 'max' or a function (a, b) => intensity
+   * @returns {RangeList} - A new normalized range list
+   */
+  static combine(a, b, op) {
+    const combineFn = typeof op === 'function' ? op : Object.hasOwn(OPERATORS, op) && OPERATORS[op];
+    if (!combineFn) throw new RangeListError(`Unknown operator: ${op}`);
+
+    const iteratorA = a.tree.entries();
+    const iteratorB = b.tree.entries();
+    let nextA = iteratorA.next().value;
+    let nextB = iteratorB.next().value;
+    const result = new RangeList([], { ...a.options, base: combineFn(a.options.base, b.options.base) });
+    const breakpoints = [];
+    let intensityA = a.options.base;
+    let intensityB = b.options.base;
+    let previousIntensity = result.options.base;
+
+    while (nextA || nextB) {
+      const position = result._earliest(nextA && nextA.key, nextB && nextB.key);
+      if (nextA && result._compare(nextA.key, position) === 0) {
+        intensityA = nextA.value;
+        nextA = iteratorA.next().value;
+      }
+      if (nextB && result._compare(nextB.key, position) === 0) {
+        intensityB = nextB.value;
+        nextB = iteratorB.next().value;
+      }
+
+      const intensity = combineFn(intensityA, intensityB);
+      if (!result._equals(intensity, previousIntensity)) {
+        breakpoints.push({ key: position, value: intensity });
+        previousIntensity = intensity;
+      }
+    }
+
+    result.tree.load(breakpoints);
+    return result;
+  }
+
+  /**
+   * Combine with another range list by adding intensities
+   * @param {RangeList} other - The other range list
+   * @returns {RangeList} - A new range list
+   */
+  addList(other) {
+    return RangeList.combine(this, other, 'add');
+  }
+
+  /**
+   * Combine with another range list by subtracting its intensities
+   * @param {RangeList} other - The other range list
+   * @returns {RangeList} - A new range list
+   */
+  subtractList(other) {
+    return RangeList.combine(this, other, 'subtract');
+  }
+
+  /**
+   * Combine with another range list by multiplying intensities
+   * @param {RangeList} other - The other range list
+   * @returns {RangeList} - A new range list
+   */
+  multiplyList(other) {
+    return RangeList.combine(this, other, 'multiply');
+  }
+
+  /**
+   * Combine with another range list by taking the lower intensity
+   * @param {RangeList} other - The other range list
+   * @returns {RangeList} - A new range list
+   */
+  minList(other) {
+    return RangeList.combine(this, other, 'min');
+  }
+
+  /**
+   * Combine with another range list by taking the higher intensity
+   * @param {RangeList} other - The other range list
+   * @returns {RangeList} - A new range list
+   */
+  maxList(other) {
+    return RangeList.combine(this, other, 'max');
+  }
+
+  /**
+   * Compute the set operations that turn one range list into another, e.g. to sync a copy
+   *
+   * The operations are as few as possible. Later sets may overlap earlier ones, e.g. one set
+   * of a wide range with a narrower set on top, so they must be applied in the order they are
+   * returned. Finding them is the "strange printer" problem, solved by dynamic programming in
+   * O(k³) time and O(k²) space for the k segments between breakpoints of either list, from the
+   * first to the last position where the lists differ. Both range lists must share their order and domain.
+   * @param {RangeList} a - The range list to change
+   * @param {RangeList} b - The range list to turn it into
+   * @returns {Array} - Array of {op: 'set', from, to, amount} objects, in the order to apply them
+   * @throws {RangeListError} - If the lists differ before their first or after their last
+   *   breakpoint, which no set can cover
+   */
+  static diff(a, b) {
+    const unbounded = new RangeListError('diff cannot express a difference over an unbounded range');
+    if (!a._equals(a.options.base, b.options.base)) throw unbounded;
+
+    // The segments between the breakpoints of either list, and whether they differ
+    const runs = [];
+    const iteratorA = a.tree.entries();
+    const iteratorB = b.tree.entries();
+    let nextA = iteratorA.next().value;
+    let nextB = iteratorB.next().value;
+    let intensityA = a.options.base;
+    let intensityB = b.options.base;
+    let previous;
+
+    while (nextA || nextB) {
+      const position = a._earliest(nextA && nextA.key, nextB && nextB.key);
+
+      // The segment from the previous position to this one
+      if (previous !== undefined) {
+        runs.push({ from: previous, to: position, amount: intensityB, differs: !a._equals(intensityA, intensityB) });
+      }
+
+      if (nextA && a._compare(nextA.key, position) === 0) {
+        intensityA = nextA.value;
+        nextA = iteratorA.next().value;
+      }
+      if (nextB && a._compare(nextB.key, position) === 0) {
+        intensityB = nextB.value;
+        nextB = iteratorB.next().value;
+      }
+      previous = position;
+    }
+    if (!a._equals(intensityA, intensityB)) throw unbounded;
+
+    const first = runs.findIndex((run) => run.differs);
+    if (first === -1) return [];
+    let last = runs.length - 1;
+    while (!runs[last].differs) last--;
+
+    return planSets(runs.slice(first, last + 1), a._equals).map(({ from, to, amount }) => ({
+      op: 'set',
+      from,
+      to: a._userEnd(to),
+      amount,
+    }));
+  }
+
+  /**
+   * Take a snapshot of the current intensities in O(1)
+   *
+   * The snapshot shares its tree nodes with this list; changing either one afterwards copies
+   * only the O(log n) nodes on the changed paths.
+   * @returns {RangeList} - An independent range list with the same breakpoints and options
+   */
+  snapshot() {
+    const snapshot = new RangeList([], this.options);
+    snapshot.tree = this.tree.clone();
+    return snapshot;
+  }
+
+  /**
+   * Replace the intensities with those of a snapshot, in O(1)
+   *
+   * Restoring is recorded in the history like any other change, so it can be undone.
+   * @param {RangeList} snapshot - A snapshot of this list, or any range list with the same order,
+   *   algebra, domain and base intensity
+   * @throws {RangeListError} - If the snapshot is not a range list with the same order, algebra,
+   *   domain and base intensity
+   */
+  restore(snapshot) {
+    if (!(snapshot instanceof RangeList)) throw new RangeListError('Can only restore a RangeList snapshot');
+    const mismatch = ['order', 'algebra', 'domain', 'base'].find((option) =>
+      option === 'base'
+        ? !this._equals(snapshot.options.base, this.options.base)
+        : snapshot.options[option] !== this.options[option],
+    );
+    if (mismatch) throw new RangeListError(`Can only restore a snapshot with the same ${mismatch}`);
+
+    this._replaceTree({ op: 'restore' }, snapshot.tree.clone());
+  }
+
+  /**
+   * Revert the most recent change
+   * @returns {boolean} - Whether there was a change to revert
+   */
+  undo() {
+    const entry = this._undoStack.pop();
+    if (!entry) return false;
+
+    this._redoStack.push({ operation: entry.operation, tree: this.tree.clone() });
+    this._notify(
+      { op: 'undo', operation: entry.operation },
+      () => {
+        this.tree = entry.tree;
+      },
+      entry.tree,
+    );
+    return true;
+  }
+
+  /**
+   * Reapply the most recently undone change
+   * @returns {boolean} - Whether there was a change to reapply
+   */
+  redo() {
+    const entry = this._redoStack.pop();
+    if (!entry) return false;
+
+    this._undoStack.push({ operation: entry.operation, tree: this.tree.clone() });
+    this._notify(
+      { op: 'redo', operation: entry.operation },
+      () => {
+        this.tree = entry.tree;
+      },
+      entry.tree,
+    );
+    return true;
+  }
+
+  /**
+   * Subscribe to changes
+   *
+   * A 'change' listener is called after every change that was applied (the operations listed
+   * by history(), plus undo and redo), with {operation, from, to, before, after}: the operation, the range
+   * [from, to) it could affect, and the {from, to, intensity} segments covering that range
+   * before and after the change. Collecting the segments costs O(log n + k) for k breakpoints
+   * in the range, and only happens while there are listeners.
+   * @param {string} event - The event name, 'change'
+   * @param {Function} listener - Called with the event object
+   * @returns {RangeList} - This range list, for chaining
+   */
+  on(event, listener) {
+    this._getListeners(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Unsubscribe a listener added with on()
+   * @param {string} event - The event name, 'change'
+   * @param {Function} listener - The listener to remove
+   * @returns {RangeList} - This range list, for chaining
+   */
+  off(event, listener) {
+    const listeners = this._getListeners(event);
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Get the changes undo() can revert
+   * @returns {Array} - Objects describing each change with its method name and arguments, e.g.
+   *   {op: 'add'|'set', from, to, amount}, {op: 'batch', operations} or {op: 'restore'}, oldest first
+   */
+  history() {
+    return this._undoStack.map((entry) => entry.operation);
+  }
+
+  /**
+   * Get intensity at a specific position
+   * @param {*} position - Position to check
+   * @returns {*} - The intensity at that position, or the base intensity if the position is invalid
+   * @throws {InvalidRangeError} - In strict mode, if the position is invalid
+   */
+  get(position) {
+    if (!this._isValidPosition(position)) {
+      if (this.options.strict) throw new InvalidRangeError(position, position);
+      return this.options.base;
+    }
+    return this._getIntensityAt(position);
+  }
+
+  /**
+   * Iterate lazily over the segments covering a range, clipped to the range boundaries
+   *
+   * Without bounds, iterates from the first to the last breakpoint.
+   * @param {*} [from] - Start of range (inclusive)
+   * @param {*} [to] - End of range (exclusive)
+   * @returns {Generator} - Generator of {from, to, intensity} objects in order of position
+   */
+  *segments(from, to) {
+    for (const segment of this._segments(from, this._end(to))) {
+      yield { ...segment, to: this._userEnd(segment.to) };
+    }
+  }
+
+  /**
+   * Iterate lazily over the segments covering a range, with an exclusive end in every domain
+   * @param {*} [from] - Start of range (inclusive)
+   * @param {*} [to] - End of range (exclusive)
+   * @returns {Generator} - Generator of {from, to, intensity} objects in order of position
+   * @private
+   */
+  *_segments(from, to) {
+    const range = this._resolveRange(from, to);
+    if (!range) return;
+    ({ from, to } = range);
+
+    let start = from;
+    let intensity = this._getIntensityAt(from);
+
+    for (const node of this.tree.entries({ from })) {
+      if (this._compare(node.key, to) >= 0) break;
+      if (this._compare(node.key, from) === 0) continue;
+      yield { from: start, to: node.key, intensity };
+      start = node.key;
+      intensity = node.value;
+    }
+    yield { from: start, to, intensity };
+  }
+
+  /**
+   * Iterate lazily over the breakpoints with positions in a range
+   * @param {*} [from] - Start of range (inclusive), unbounded if omitted
+   * @param {*} [to] - End of range (exclusive), unbounded if omitted
+   * @returns {Generator} - Generator of [position, intensity] pairs in order of position
+   */
+  *entries(from, to) {
+    const end = this._end(to);
+    for (const node of this.tree.entries({ from })) {
+      if (end !== undefined && this._compare(node.key, end) >= 0) return;
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * Iterate over all breakpoints, as in toArray()
+   * @returns {Generator} - Generator of [position, intensity] pairs in order of position
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Get the minimum intensity within a range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @returns {number|null} - The minimum intensity or null for an empty range
+   */
+  min(from, to) {
+    const aggregate = this._aggregate(from, to);
+    return aggregate ? aggregate.min : null;
+  }
+
+  /**
+   * Get the maximum intensity within a range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @returns {number|null} - The maximum intensity or null for an empty range
+   */
+  max(from, to) {
+    const aggregate = this._aggregate(from, to);
+    return aggregate ? aggregate.max : null;
+  }
+
+  /**
+   * Get the sum of intensities within a range, weighted by segment length
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @returns {number} - The length-weighted sum (0 for an empty range)
+   */
+  sum(from, to) {
+    if (!this.options.order.distance) throw new RangeListError('sum requires an order with a distance');
+    const aggregate = this._aggregate(from, to);
+    return aggregate ? aggregate.sum : 0;
+  }
+
+  /**
+   * Downsample a range into fixed-width buckets, e.g. for dashboards
+   *
+   * Walks the breakpoints in the range once, splitting segments that straddle bucket
+   * boundaries, instead of looking up every bucket separately. The last bucket ends at `to`
+   * and may be shorter than the others.
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {number} bucketSize - The bucket width, measured with the order's distance
+   * @param {string} [reducer] - 'average' (length-weighted, the default), 'max', 'min' or
+   *   'coverage' (the fraction of the bucket whose intensity differs from the base intensity)
+   * @returns {Array} - Array of {from, to, value} buckets in order of position
+   * @throws {RangeListError} - If the bucket size is not a positive number
+   */
+  resample(from, to, bucketSize, reducer = 'average') {
+    this._assertNumeric('resample');
+    const { distance } = this.options.order;
+    if (!distance) throw new RangeListError('resample requires an order with a distance');
+    const advance = this._getAdvance('resample');
+    const reduce = Object.hasOwn(REDUCERS, reducer) && REDUCERS[reducer];
+    if (!reduce) throw new RangeListError(`Unknown reducer: ${reducer}`);
+    if (!(bucketSize > 0)) throw new RangeListError(`Invalid bucket size: ${String(bucketSize)}`);
+
+    const end = this._end(to);
+    if (this._compare(from, end) >= 0) return [];
+
+    const buckets = [];
+    // Bucket boundaries are computed from 'from' rather than the previous boundary, so
+    // floating point errors do not accumulate over many buckets
+    let index = 0;
+    let bucketFrom = from;
+    let bucketTo = this._earliest(advance(from, bucketSize), end);
+    let stats = { sum: 0, min: Infinity, max: -Infinity, covered: 0, length: 0 };
+
+    for (const segment of this._segments(from, end)) {
+      let position = segment.from;
+      for (;;) {
+        const pieceTo = this._earliest(segment.to, bucketTo);
+        const length = distance(position, pieceTo);
+        stats.sum += segment.intensity * length;
+        stats.min = Math.min(stats.min, segment.intensity);
+        stats.max = Math.max(stats.max, segment.intensity);
+        if (!this._equals(segment.intensity, this.options.base)) stats.covered += length;
+        stats.length += length;
+        if (this._compare(pieceTo, bucketTo) < 0) break;
+
+        buckets.push({ from: bucketFrom, to: this._userEnd(bucketTo), value: reduce(stats) });
+        if (this._compare(bucketTo, end) >= 0) break;
+        index++;
+        bucketFrom = bucketTo;
+        bucketTo = this._earliest(advance(from, (index + 1) * bucketSize), end);
+        stats = { sum: 0, min: Infinity, max: -Infinity, covered: 0, length: 0 };
+        position = bucketFrom;
+        if (this._compare(position, segment.to) >= 0) break;
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Find where the intensity is above a level
+   * @param {number} level - The level to exceed
+   * @param {*} [from] - Start of range (inclusive), the first breakpoint if omitted
+   * @param {*} [to] - End of range (exclusive), the last breakpoint if omitted
+   * @returns {Array} - Merged {from, to} intervals in order of position
+   */
+  whereAbove(level, from, to) {
+    this._assertNumeric('whereAbove and whereBelow');
+    return this._where(
+      (min, max) => max > level,
+      (min) => min <= level,
+      from,
+      to,
+    );
+  }
+
+  /**
+   * Find where the intensity is below a level
+   * @param {number} level - The level to stay under
+   * @param {*} [from] - Start of range (inclusive), the first breakpoint if omitted
+   * @param {*} [to] - End of range (exclusive), the last breakpoint if omitted
+   * @returns {Array} - Merged {from, to} intervals in order of position
+   */
+  whereBelow(level, from, to) {
+    this._assertNumeric('whereAbove and whereBelow');
+    return this._where(
+      (min) => min < level,
+      (min, max) => max >= level,
+      from,
+      to,
+    );
+  }
+
+  /**
+   * Find where the intensity equals a value, using the configured equality
+   * @param {*} value - The intensity to look for
+   * @param {*} [from] - Start of range (inclusive), the first breakpoint if omitted
+   * @param {*} [to] - End of range (exclusive), the last breakpoint if omitted
+   * @returns {Array} - Merged {from, to} intervals in order of position
+   */
+  whereEquals(value, from, to) {
+    const equal = (intensity) => this._equals(intensity, value);
+    // Only plain numeric equality (with or without epsilon) rules out a whole range of values
+    const { epsilon = 0 } = this.options;
+    const canSkip = this.options.algebra.numeric && !this.options.equals;
+
+    return this._where(
+      (min, max) => (min === max ? equal(min) : !canSkip || (min - epsilon <= value && value <= max + epsilon)),
+      (min, max) => (min === max ? !equal(min) : !canSkip || !(equal(min) && equal(max))),
+      from,
+      to,
+    );
+  }
+
+  /**
+   * Find the first position at or after startAt where the intensity satisfies a predicate
+   *
+   * Every breakpoint after startAt is checked, unless a `mayMatch` hint lets whole subtrees
+   * be skipped without visiting their breakpoints: mayMatch(min, max) must return whether some
+   * intensity between min and max may satisfy the predicate, e.g. (min, max) => max > capacity.
+   * Hints are only used with a numeric algebra.
+   * @param {Function} predicate - intensity => boolean
+   * @param {*} [startAt] - Position to start at, the first breakpoint if omitted
+   * @param {Object} [options]
+   * @param {Function} [options.mayMatch] - (min, max) => false if no intensity between min and
+   *   max satisfies the predicate
+   * @returns {*} - The first matching position, or null if there is none
+   */
+  firstPositionWhere(predicate, startAt, { mayMatch = () => true } = {}) {
+    if (startAt === undefined) {
+      const { value: first } = this.tree.entries().next();
+      if (!first) return null;
+      startAt = first.key;
+    }
+
+    if (predicate(this._getIntensityAt(startAt))) return startAt;
+    // A subtree whose intensities are all the same matches exactly when that intensity does
+    const node = this.tree.findFirst(startAt, (min, max) => (min === max ? predicate(min) : mayMatch(min, max)));
+    return node ? node.key : null;
+  }
+
+  /**
+   * Find the earliest start of a range of a given length where the intensity stays at or
+   * below a limit
+   *
+   * Alternates between skipping to the next position at or below the limit and looking for
+   * the next breakpoint above it, each in O(log n), so blocked regions are jumped over
+   * instead of scanned.
+   * @param {number} length - The length the range must have, measured with the order's distance
+   * @param {Object} [options]
+   * @param {number} [options.maxIntensity] - The highest intensity allowed in the range (default 0)
+   * @param {*} [options.from] - The earliest allowed start, the order's origin (0 for numbers)
+   *   if omitted
+   * @param {*} [options.to] - The latest allowed end, unbounded if omitted
+   * @returns {*} - The start of the range, or null if there is no such range or `from` or `to`
+   *   is invalid
+   * @throws {RangeListError} - If the length is not a positive number, or `from` is omitted and
+   *   the order has no origin
+   * @throws {InvalidRangeError} - In strict mode, if `from` or `to` is invalid
+   */
+  findFirstFit(length, { maxIntensity = 0, from, to } = {}) {
+    this._assertNumeric('findFirstFit and reserve');
+    const { distance } = this.options.order;
+    if (!distance) throw new RangeListError('findFirstFit and reserve require an order with a distance');
+    if (!(length > 0)) throw new RangeListError(`Invalid length: ${String(length)}`);
+
+    let start = from === undefined ? this.options.order.origin : from;
+    if (start === undefined) throw new RangeListError('findFirstFit requires a from position for this order');
+    if (!this._isValidPosition(start) || (to !== undefined && !this._isValidPosition(to))) {
+      if (this.options.strict) throw new InvalidRangeError(start, to);
+      return null;
+    }
+    const end = this._end(to);
+
+    for (;;) {
+      start = this.firstPositionWhere((intensity) => intensity <= maxIntensity, start, {
+        mayMatch: (min) => min <= maxIntensity,
+      });
+      if (start === null || (end !== undefined && distance(start, end) < length)) return null;
+
+      const blocker = this.tree.findFirst(start, (min, max) => max > maxIntensity);
+      if (!blocker || distance(start, blocker.key) >= length) return start;
+      start = blocker.key;
+    }
+  }
+
+  /**
+   * Find the earliest fitting range with findFirstFit() and add an amount to it
+   *
+   * The range is claimed with a single add, so it is recorded and reported as one change.
+   * @param {number} length - The length of the range
+   * @param {number} amount - Intensity amount to add to the range
+   * @param {Object} [options] - Options as for findFirstFit()
+   * @returns {Object|null} - The reserved {from, to} range, or null if nothing fits or the
+   *   amount is invalid
+   * @throws {RangeListError} - If the length is not a positive number
+   * @throws {InvalidAmountError} - In strict mode, if the amount is invalid
+   */
+  reserve(length, amount, options) {
+    const { advance } = this.options.order;
+    if (!advance) throw new RangeListError('reserve requires an order with advance');
+
+    const from = this.findFirstFit(length, options);
+    if (from === null) return null;
+
+    const end = advance(from, length);
+    if (!this._isApplicable(from, end, amount)) return null;
+
+    const to = this._userEnd(end);
+    this.add(from, to, amount);
+    return { from, to };
+  }
+
+  /**
+   * Collect the intervals where the intensity matches, alternating between searching for the
+   * next breakpoint that ends a matching run and the next one that starts one
+   * @param {Function} mayMatch - (min, max) => whether some intensity in the range may match
+   * @param {Function} mayFail - (min, max) => whether some intensity in the range may not match
+   * @param {*} [from] - Start of range (inclusive)
+   * @param {*} [to] - End of range, as passed to the public methods
+   * @returns {Array} - Merged {from, to} intervals
+   * @private
+   */
+  _where(mayMatch, mayFail, from, to) {
+    const range = this._resolveRange(from, this._end(to));
+    if (!range) return [];
+
+    const intervals = [];
+    const intensity = this._getIntensityAt(range.from);
+    let matching = mayMatch(intensity, intensity);
+    let position = range.from;
+
+    while (this._compare(position, range.to) < 0) {
+      const next = this.tree.findFirst(position, matching ? mayFail : mayMatch);
+      const end = next && this._compare(next.key, range.to) < 0 ? next.key : range.to;
+      if (matching) intervals.push({ from: position, to: this._userEnd(end) });
+      position = end;
+      matching = !matching;
+    }
+    return intervals;
+  }
+
+  /**
+   * Fill in omitted range boundaries with the first and last breakpoint
+   * @param {*} [from] - Start of range (inclusive)
+   * @param {*} [to] - End of range (exclusive)
+   * @returns {Object|null} - {from, to}, or null if the range is empty
+   * @private
+   */
+  _resolveRange(from, to) {
+    if (from === undefined) {
+      const { value: first } = this.tree.entries().next();
+      if (!first) return null;
+      from = first.key;
+    }
+    if (to === undefined) {
+      const { value: last } = this.tree.entries({ reverse: true }).next();
+      if (!last) return null;
+      to = last.key;
+    }
+    return this._compare(from, to) < 0 ? { from, to } : null;
+  }
+
+  /**
+   * Compute min, max and length-weighted sum of the intensity over a range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range, as passed to min, max and sum
+   * @returns {Object|null} - {min, max, sum} or null for an empty range
+   * @private
+   */
+  _aggregate(from, to) {
+    this._assertNumeric('min, max and sum');
+    to = this._end(to);
+    if (this._compare(from, to) >= 0) return null;
+
+    // The intensity at 'from' holds until the first breakpoint inside the range; without a
+    // distance only min and max are meaningful
+    const length = this.options.order.distance || (() => NaN);
+    const head = this._getIntensityAt(from);
+    const inner = this.tree.aggregate(from, to);
+    if (!inner) return { min: head, max: head, sum: head * length(from, to) };
+
+    return {
+      min: Math.min(head, inner.minValue),
+      max: Math.max(head, inner.maxValue),
+      sum: head * length(from, inner.minKey) + inner.integral + inner.lastValue * length(inner.maxKey, to),
+    };
+  }
+
+  /**
+   * Create the intensity equality function from the options
+   * @param {Object} options - The range list options
+   * @returns {Function} - (a, b) => boolean
+   * @private
+   */
+  _createEquals({ equals, epsilon, algebra }) {
+    if (equals) return equals;
+    if (epsilon !== undefined) return (a, b) => Math.abs(a - b) <= epsilon;
+    return algebra.equals;
+  }
+
+  /**
+   * Create an empty tree for the configured algebra
+   * @returns {AVLTree} - The tree
+   * @private
+   */
+  _createTree() {
+    const { algebra, order } = this.options;
+    return new AVLTree({
+      combine: algebra.numeric ? null : algebra.combine,
+      compare: order.compare,
+      distance: order.distance || null,
+      advance: order.advance || null,
+      addDeltas: order.addLengths,
+    });
+  }
+
+  /**
+   * Record a change about to be made, keeping the tree before it for undo()
+   *
+   * Trees are persistent, so keeping the previous version costs O(1) here and O(log n)
+   * copied nodes per later modification.
+   * @param {Object} operation - The change, as returned by history()
+   * @private
+   */
+  _record(operation) {
+    const { historyLimit } = this.options;
+    if (historyLimit === 0) return;
+
+    this._undoStack.push({ operation, tree: this.tree.clone() });
+    if (this._undoStack.length > historyLimit) this._undoStack.shift();
+    this._redoStack = [];
+  }
+
+  /**
+   * Convert the end of a range as passed to public methods to the exclusive end stored in
+   * the tree
+   * @param {*} to - The end, inclusive in the integer domain; may be undefined
+   * @returns {*} - The exclusive end
+   * @private
+   */
+  _end(to) {
+    return this.options.domain === 'integer' && to !== undefined ? this.options.order.advance(to, 1) : to;
+  }
+
+  /**
+   * Convert an exclusive end stored in the tree to the end returned by public methods
+   * @param {*} end - The exclusive end
+   * @returns {*} - The end, inclusive in the integer domain
+   * @private
+   */
+  _userEnd(end) {
+    return this.options.domain === 'integer' ? this.options.order.advance(end, -1) : end;
+  }
+
+  /**
+   * Check whether a value is an acceptable position for the order and domain
+   * @param {*} position - The value to check
+   * @returns {boolean} - Whether it is valid
+   * @private
+   */
+  _isValidPosition(position) {
+    if (!this.options.order.isValid(position)) return false;
+    return this.options.domain !== 'integer' || this.options.order.isInteger(position);
+  }
+
+  /**
+   * Get the order's advance function
+   * @param {string} feature - What requires it, for the error message
+   * @returns {Function} - (position, length) => position
+   * @private
+   */
+  _getAdvance(feature) {
+    const { advance } = this.options.order;
+    if (!advance) throw new RangeListError(`${feature} requires an order with advance`);
+    return advance;
+  }
+
+  /**
+   * Build a normalized tree from {key, value} entries in order of position, where later
+   * entries replace earlier ones at the same position (e.g. after rounding)
+   * @param {Array} entries - The entries
+   * @returns {AVLTree} - The new tree
+   * @private
+   */
+  _buildTree(entries) {
+    const unique = [];
+    for (const entry of entries) {
+      const previous = unique[unique.length - 1];
+      if (previous && this._compare(previous.key, entry.key) === 0) unique.pop();
+      unique.push(entry);
+    }
+
+    const normalized = [];
+    let previousIntensity = this.options.base;
+    for (const entry of unique) {
+      if (this._equals(entry.value, previousIntensity)) continue;
+      normalized.push(entry);
+      previousIntensity = entry.value;
+    }
+
+    const tree = this._createTree();
+    tree.load(normalized);
+    return tree;
+  }
+
+  /**
+   * Record and report a change that replaces the whole tree
+   * @param {Object} operation - The change
+   * @param {AVLTree} tree - The tree to replace the current one with
+   * @private
+   */
+  _replaceTree(operation, tree) {
+    this._record(operation);
+    this._notify(
+      operation,
+      () => {
+        this.tree = tree;
+      },
+      tree,
+    );
+  }
+
+  /**
+   * Get the listeners for an event
+   * @param {string} event - The event name
+   * @returns {Array} - The listeners, which may be modified
+   * @private
+   */
+  _getListeners(event) {
+    const listeners = Object.hasOwn(this._listeners, event) && this._listeners[event];
+    if (!listeners) throw new RangeListError(`Unknown event: ${event}`);
+    return listeners;
+  }
+
+  /**
+   * Make a change, reporting the segments it affected to 'change' listeners
+   * @param {Object} operation - The change, as reported to listeners
+   * @param {Function} mutate - Makes the change
+   * @param {AVLTree} [otherTree] - The tree replacing the current one, for whole-list changes
+   * @private
+   */
+  _notify(operation, mutate, otherTree) {
+    const listeners = this._listeners.change;
+    if (listeners.length === 0) {
+      mutate();
+      return;
+    }
+
+    const range = this._affectedRange(operation, otherTree);
+    const from = range && range.from;
+    const to = range && this._userEnd(range.to);
+    const before = range ? [...this.segments(from, to)] : [];
+    mutate();
+    if (!range) return;
+
+    const after = [...this.segments(from, to)];
+    const event = { operation, from, to, before, after };
+    for (const listener of [...listeners]) listener(event);
+  }
+
+  /**
+   * Get the range of positions a change can affect
+   * @param {Object} operation - The change
+   * @param {AVLTree} [otherTree] - The tree replacing the current one, for whole-list changes
+   * @returns {Object|null} - {from, to}, or null if neither version has any breakpoints
+   * @private
+   */
+  _affectedRange(operation, otherTree) {
+    switch (operation.op) {
+      case 'add':
+      case 'set':
+      case 'clear':
+        return { from: operation.from, to: this._end(operation.to) };
+      case 'shiftRange': {
+        const { advance } = this.options.order;
+        const { from, delta } = operation;
+        const to = this._end(operation.to);
+        return this._span([from, to, advance(from, delta), advance(to, delta)]);
+      }
+      case 'insertGap':
+      case 'deleteSpan': {
+        if (otherTree) return this._wholeSpan(otherTree);
+
+        // Everything from the change up to the last breakpoint, wherever it ends up, moves
+        const { op, at, length, from = at } = operation;
+        const { advance } = this.options.order;
+        const last = this.tree.entries({ reverse: true }).next().value;
+        const ends = [op === 'insertGap' ? advance(at, length) : this._end(operation.to)];
+        if (last) ends.push(op === 'insertGap' ? advance(last.key, length) : last.key);
+        return this._span([from, ...ends.filter((end) => this._compare(end, from) > 0)]);
+      }
+      case 'undo':
+      case 'redo':
+        return this._affectedRange(operation.operation, otherTree);
+      case 'batch':
+        return this._span(operation.operations.flatMap(({ from, to }) => [from, this._end(to)]));
+      default:
+        return this._wholeSpan(otherTree);
+    }
+  }
+
+  /**
+   * Get the range between the first and last breakpoint of the current or another tree
+   * @param {AVLTree} otherTree - The other tree
+   * @returns {Object|null} - {from, to}, or null if neither tree has any breakpoints
+   * @private
+   */
+  _wholeSpan(otherTree) {
+    return this._span(
+      [this.tree, otherTree].flatMap((tree) => {
+        const first = tree.entries().next().value;
+        const last = tree.entries({ reverse: true }).next().value;
+        return first ? [first.key, last.key] : [];
+      }),
+    );
+  }
+
+  /**
+   * Get the range from the earliest to the latest of some positions
+   * @param {Array} positions - The positions
+   * @returns {Object|null} - {from, to}, or null if there are no positions
+   * @private
+   */
+  _span(positions) {
+    if (positions.length === 0) return null;
+    let from = positions[0];
+    let to = positions[0];
+    for (const position of positions) {
+      if (this._compare(position, from) < 0) from = position;
+      if (this._compare(position, to) > 0) to = position;
+    }
+    return { from, to };
+  }
+
+  /**
+   * Compare two positions with the configured order
+   * @param {*} a - The first position
+   * @param {*} b - The second position
+   * @returns {number} - Negative if a comes first, positive if b does, zero if they are equal
+   * @private
+   */
+  _compare(a, b) {
+    return this.options.order.compare(a, b);
+  }
+
+  /**
+   * Get the earlier of two positions, either of which may be undefined
+   * @param {*} a - The first position
+   * @param {*} b - The second position
+   * @returns {*} - The earlier defined position
+   * @private
+   */
+  _earliest(a, b) {
+    if (a === undefined) return b;
+    if (b === undefined) return a;
+    return this._compare(a, b) <= 0 ? a : b;
+  }
+
+  /**
+   * Throw if intensities are not plain numbers
+   * @param {string} feature - What requires numeric intensities, for the error message
+   * @private
+   */
+  _assertNumeric(feature) {
+    if (!this.options.algebra.numeric) throw new RangeListError(`${feature} require a numeric algebra`);
+  }
+
+  /**
+   * Check whether a value is an acceptable amount or intensity for the algebra
+   * @param {*} value - The value to check
+   * @returns {boolean} - Whether the value is valid
+   * @private
+   */
+  _isValidValue(value) {
+    const { isValid } = this.options.algebra;
+    return isValid ? isValid(value) : value !== undefined;
+  }
+
+  /**
+   * Validate the arguments of an add/set operation
+   *
+   * Invalid arguments throw in strict mode and are ignored otherwise. Empty ranges are valid
+   * but have nothing to apply.
+   * @param {*} from - Start of range
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount
+   * @returns {boolean} - Whether the operation has anything to apply
+   * @private
+   */
+  _isApplicable(from, to, amount) {
+    let error = null;
+    if (!this._isValidPosition(from) || !this._isValidPosition(to) || this._compare(from, to) > 0) {
+      // Report the end as it was passed in
+      error = new InvalidRangeError(from, this._isValidPosition(to) ? this._userEnd(to) : to);
+    } else if (!this._isValidValue(amount)) {
+      error = new InvalidAmountError(amount);
+    }
+
+    if (error && this.options.strict) throw error;
+    return !error && this._compare(from, to) < 0;
+  }
+
+  /**
+   * Validate that breakpoints are finite, strictly increasing and normalized
+   * @param {Array} breakpoints - Array of [position, intensity] pairs
+   * @private
+   */
+  _validateBreakpoints(breakpoints) {
+    if (!Array.isArray(breakpoints)) throw new InvalidBreakpointsError('Breakpoints must be an array');
+
+    let previous = null;
+    for (const breakpoint of breakpoints) {
+      if (
+        !Array.isArray(breakpoint) ||
+        breakpoint.length !== 2 ||
+        !this._isValidPosition(breakpoint[0]) ||
+        !this._isValidValue(breakpoint[1])
+      ) {
+        throw new InvalidBreakpointsError(`Invalid breakpoint: ${JSON.stringify(breakpoint)}`);
+      }
+
+      const [position, intensity] = breakpoint;
+      if (previous && this._compare(position, previous[0]) <= 0) {
+        throw new InvalidBreakpointsError(
+          `Breakpoint positions must be strictly increasing: ${position} follows ${previous[0]}`,
+        );
+      }
+      if (this._equals(intensity, previous ? previous[1] : this.options.base)) {
+        throw new InvalidBreakpointsError(`Redundant breakpoint at ${position}: intensity ${intensity} is unchanged`);
+      }
+      previous = breakpoint;
+    }
   }
 
   /**
    * Ensure a point exists in the tree
-   * @param {number} position - Position to ensure exists
+   * @param {*} position - Position to ensure exists
    * @private
    */
   _ensurePointExists(position) {
-    const node = this.tree.findNearest(position);
-    if (!node || node.key !== position) {
+    if (!this.tree.find(position)) {
       const intensity = this._getIntensityAt(position);
       this.tree.insert(position, intensity);
     }
@@ -63,102 +1443,165 @@ export class RangeList {
 
   /**
    * Get intensity at a specific position
-   * @param {number} position - Position to check
-   * @returns {number} - The intensity at that position
+   * @param {*} position - Position to check
+   * @returns {*} - The intensity at that position
    * @private
    */
   _getIntensityAt(position) {
     const node = this.tree.findLessThanOrEqual(position);
-    return node ? node.value : 0;
+    return node ? node.value : this.options.base;
   }
 
   /**
    * Get intensity just before a specific position
-   * @param {number} position - Position to check before
-   * @returns {number} - The intensity before that position
+   * @param {*} position - Position to check before
+   * @returns {*} - The intensity before that position
    * @private
    */
   _getIntensityBefore(position) {
     const node = this.tree.findLessThan(position);
-    return node ? node.value : 0;
+    return node ? node.value : this.options.base;
   }
 
   /**
-   * Adjust intensities within a range by adding an amount
-   * @param {number} from - Start of range
-   * @param {number} to - End of range
-   * @param {number} amount - Amount to add
+   * Remove all points within a range (exclusive of boundaries)
+   * @param {*} from - Start of range
+   * @param {*} to - End of range
    * @private
    */
-  _adjustIntensities(from, to, amount) {
+  _removePointsInRange(from, to) {
     const points = this.tree.getKeysInRange(from, to);
-
-    // Adjust intensity for all points in range
     for (const position of points) {
-      const node = this.tree.find(position);
-      if (node) {
-        if (position === from) {
-          // For the start point, add amount to all positions after it
-          this.tree.update(position, node.value + amount);
-        } else if (position < to) {
-          // For internal points, just add the amount
-          this.tree.update(position, node.value + amount);
-        }
+      if (this._compare(position, from) > 0 && this._compare(position, to) < 0) {
+        this.tree.remove(position);
       }
     }
   }
 
   /**
-   * Remove all points within a range (exclusive of boundaries)
-   * @param {number} from - Start of range
-   * @param {number} to - End of range
+   * Remove a point if its intensity is the same as the intensity before it
+   *
+   * Mutations only call this for the boundaries they touched, so cleanup is O(log n)
+   * instead of a scan over every breakpoint.
+   * @param {*} position - Position of the point to check
    * @private
    */
-  _removePointsInRange(from, to) {
-    const points = this.tree.getKeysInRange(from, to);
-    for (const position of points) {
-      if (position > from && position < to) {
-        this.tree.remove(position);
-      }
+  _removeIfRedundant(position) {
+    const node = this.tree.find(position);
+    if (node && this._equals(node.value, this._getIntensityBefore(position))) {
+      this.tree.remove(position);
     }
   }
 
   /**
-   * Remove redundant points (where adjacent segments have same intensity)
-   * @private
+   * Convert the range list to an array representation
+   * @returns {Array} - Array of [position, intensity] pairs
    */
-  _cleanupRedundantPoints() {
-    // Convert to array for easier manipulation
-    let points = this.tree.inOrderTraversal();
-    if (points.length <= 1) return;
+  toArray() {
+    return [...this];
+  }
 
-    // Identify points to remove
-    const toRemove = [];
+  /**
+   * Get the JSON representation, the same as toArray()
+   * @returns {Array} - Array of [position, intensity] pairs
+   */
+  toJSON() {
+    return this.toArray();
+  }
 
-    // Special case: Remove first point if it has intensity 0 (redundant with default value)
-    if (points[0].value === 0) {
-      toRemove.push(points[0].key);
-    }
+  /**
+   * Encode the range list compactly, with delta-encoded positions
+   * @returns {Uint8Array} - The encoded bytes
+   */
+  toBinary() {
+    this._assertNumeric('Binary encoding');
+    if (!this.options.order.numeric) throw new RangeListError('Binary encoding requires numeric positions');
+    return BreakpointCodec.encode(this.toArray());
+  }
+}
 
-    // Go through points to find redundant ones
-    for (let i = points.length - 1; i > 0; i--) {
-      // If this point has the same intensity as the previous one, it's redundant
-      if (points[i].value === points[i - 1].value) {
-        toRemove.push(points[i].key);
+/**
+ * Find the fewest set operations that give every run its amount, where runs that do not
+ * differ may also be left alone; of equally few sets, those leaving more runs alone win
+ *
+ * A set covering several runs must be followed by sets giving the runs in between their own
+ * amounts. cost[i][j] is the fewest sets painting runs i to j from scratch: either run j gets
+ * its own set, or the set that gives an earlier run k the same amount is extended to j and
+ * runs k + 1 to j - 1 are painted on top of it. The runs are then split into such painted
+ * stretches and runs left alone.
+ * @param {Array} runs - Adjacent {from, to, amount, differs} runs
+ * @param {Function} equals - (a, b) => whether two amounts are the same
+ * @returns {Array} - {from, to, amount} sets, in the order to apply them
+ */
+function planSets(runs, equals) {
+  const n = runs.length;
+
+  // Runs with the same amount share an id, so only those are compared in the inner loop
+  const ids = [];
+  const representatives = [];
+  const earlierWithId = [];
+  for (const { amount } of runs) {
+    let id = representatives.findIndex((representative) => equals(representative, amount));
+    if (id === -1) id = representatives.push(amount) - 1;
+    ids.push(id);
+  }
+
+  const cost = new Int32Array(n * n);
+  const extended = new Int32Array(n * n).fill(-1);
+  const at = (i, j) => (i > j ? 0 : cost[i * n + j]);
+  for (let i = n - 1; i >= 0; i--) {
+    earlierWithId.length = 0;
+    for (let j = i; j < n; j++) {
+      let best = at(i, j - 1) + 1;
+      for (const k of earlierWithId[ids[j]] || []) {
+        const candidate = at(i, k) + at(k + 1, j - 1);
+        if (candidate < best) {
+          best = candidate;
+          extended[i * n + j] = k;
+        }
       }
+      cost[i * n + j] = best;
+      (earlierWithId[ids[j]] = earlierWithId[ids[j]] || []).push(j);
     }
+  }
 
-    // Remove redundant points
-    for (const key of toRemove) {
-      this.tree.remove(key);
+  // fewest[t] is the fewest sets for runs 0 to t - 1, starting a painted stretch at start[t]
+  // or leaving run t - 1 alone if start[t] is -1
+  const fewest = [0];
+  const start = [0];
+  for (let t = 1; t <= n; t++) {
+    fewest[t] = Infinity;
+    for (let l = 0; l < t; l++) {
+      if (fewest[l] + at(l, t - 1) <= fewest[t]) {
+        fewest[t] = fewest[l] + at(l, t - 1);
+        start[t] = l;
+      }
+    }
+    if (!runs[t - 1].differs && fewest[t - 1] <= fewest[t]) {
+      fewest[t] = fewest[t - 1];
+      start[t] = -1;
     }
   }
 
-  /**
-   * Convert the range list to an array representation
-   * @returns {Array} - Array of [position, intensity] pairs
-   */
-  toArray() {
-    return this.tree.inOrderTraversal().map((node) => [node.key, node.value]);
+  // Sets in order of application, covering run indexes
+  const paint = (i, j) => {
+    if (i > j) return [];
+    const k = extended[i * n + j];
+    if (k === -1) return [...paint(i, j - 1), { from: j, to: j, amount: runs[j].amount }];
+
+    const sets = paint(i, k);
+    sets.findLast((set) => set.from <= k && k <= set.to).to = j;
+    return [...sets, ...paint(k + 1, j - 1)];
+  };
+
+  const stretches = [];
+  for (let t = n; t > 0; ) {
+    if (start[t] === -1) {
+      t--;
+    } else {
+      stretches.unshift(paint(start[t], t - 1));
+      t = start[t];
+    }
   }
+  return stretches.flat().map(({ from, to, amount }) => ({ from: runs[from].from, to: runs[to].to, amount }));
 }
@@ -1,5 +1,8 @@
 import { expect } from 'chai';
 import { RangeList } from './RangeList.js';
+import { bitmaskAlgebra, createVectorAlgebra, setUnionAlgebra } from './algebras.js';
+import { bigintOrder, dateOrder, stringOrder } from './orders.js';
+import { InvalidAmountError, InvalidBreakpointsError, InvalidRangeError, RangeListError } from './RangeListError.js';
 
 describe('RangeList', () => {
   let rangeList;
@@ -82,51 +85,1715 @@ describe('RangeList', () => {
         [50, 0],
       ]);
     });
+
+    it('should match a position-by-position model for many wide adds', () => {
+      const model = new Array(100).fill(0);
+      for (let i = 0; i < 200; i++) {
+        const from = (i * 37) % 90;
+        const to = from + 1 + ((i * 11) % 10);
+        const amount = (i % 5) - 2;
+        rangeList.add(from, to, amount);
+        for (let position = from; position < to; position++) model[position] += amount;
+      }
+
+      const expected = [];
+      model.forEach((intensity, position) => {
+        const previous = position > 0 ? model[position - 1] : 0;
+        if (intensity !== previous) expected.push([position, intensity]);
+      });
+      if (model[model.length - 1] !== 0) expected.push([model.length, 0]);
+
+      expect(rangeList.toArray()).to.deep.equal(expected);
+    });
+  });
+
+  describe('set', () => {
+    it('should set intensity for a specific range', () => {
+      rangeList.add(10, 50, 1);
+      rangeList.set(20, 40, 5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 5],
+        [40, 1],
+        [50, 0],
+      ]);
+    });
+
+    it('should replace all intensities within the range', () => {
+      rangeList.add(10, 50, 1);
+      rangeList.add(20, 40, 2);
+      rangeList.add(30, 35, 3);
+      rangeList.set(25, 45, 0);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 3],
+        [25, 0],
+        [45, 1],
+        [50, 0],
+      ]);
+    });
+
+    it('should handle empty ranges', () => {
+      rangeList.add(10, 50, 1);
+      rangeList.set(30, 30, 5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [50, 0],
+      ]);
+    });
+
+    it('should handle setting intensity at the edges of existing segments', () => {
+      rangeList.add(10, 30, 1);
+      rangeList.set(10, 20, 5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 5],
+        [20, 1],
+        [30, 0],
+      ]);
+    });
+  });
+
+  describe('applyBatch', () => {
+    it('should apply adds and sets in order', () => {
+      rangeList.applyBatch([
+        { op: 'add', from: 10, to: 50, amount: 1 },
+        { op: 'add', from: 20, to: 40, amount: 2 },
+        { op: 'set', from: 25, to: 45, amount: 0 },
+        { op: 'add', from: 30, to: 35, amount: 3 },
+      ]);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 3],
+        [25, 0],
+        [30, 3],
+        [35, 0],
+        [45, 1],
+        [50, 0],
+      ]);
+    });
+
+    it('should combine with the existing breakpoints', () => {
+      rangeList.add(10, 30, 1);
+      rangeList.applyBatch([
+        { op: 'add', from: 20, to: 40, amount: 1 },
+        { op: 'set', from: 0, to: 15, amount: 1 },
+      ]);
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 1],
+        [20, 2],
+        [30, 1],
+        [40, 0],
+      ]);
+    });
+
+    it('should ignore empty ranges', () => {
+      rangeList.add(10, 20, 1);
+      rangeList.applyBatch([
+        { op: 'set', from: 15, to: 15, amount: 5 },
+        { op: 'add', from: 30, to: 20, amount: 5 },
+      ]);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 0],
+      ]);
+    });
+
+    it('should throw on unknown operations', () => {
+      expect(() => rangeList.applyBatch([{ op: 'multiply', from: 0, to: 10, amount: 2 }])).to.throw(
+        RangeListError,
+        'Unknown operation: multiply',
+      );
+    });
+
+    it('should match applying the operations one at a time', () => {
+      const operations = [];
+      for (let i = 0; i < 300; i++) {
+        const from = (i * 37) % 200;
+        operations.push({
+          op: i % 4 === 0 ? 'set' : 'add',
+          from,
+          to: from + ((i * 13) % 40),
+          amount: ((i % 7) - 3) / 10,
+        });
+      }
+
+      // Rounding depends on the order amounts are summed in, so compare up to an epsilon
+      const options = { epsilon: 1e-9 };
+      const sequential = new RangeList([], options);
+      for (const { op, from, to, amount } of operations) sequential[op](from, to, amount);
+      const batched = RangeList.fromOperations(operations, options).toArray();
+
+      expect(batched.map(([position]) => position)).to.deep.equal(sequential.toArray().map(([position]) => position));
+      batched.forEach(([position, intensity]) => expect(intensity).to.be.closeTo(sequential.get(position), 1e-9));
+      expect(batched[batched.length - 1][1]).to.equal(0);
+    });
+
+    it('should return exactly to the previous intensity after fractional adds end', () => {
+      const operations = [
+        { op: 'add', from: 0, to: 10, amount: 0.1 },
+        { op: 'add', from: 5, to: 20, amount: 0.2 },
+        { op: 'add', from: 2, to: 7, amount: 0.7 },
+      ];
+      const batched = RangeList.fromOperations(operations).toArray();
+
+      expect(batched.slice(-2)).to.deep.equal([
+        [10, 0.2],
+        [20, 0],
+      ]);
+    });
+  });
+
+  describe('serialization', () => {
+    beforeEach(() => {
+      rangeList.add(10, 30, 1);
+      rangeList.add(20, 40, 2.5);
+    });
+
+    it('should construct from the output of toArray', () => {
+      const restored = new RangeList(rangeList.toArray());
+      expect(restored.toArray()).to.deep.equal(rangeList.toArray());
+      expect(restored.get(25)).to.equal(3.5);
+    });
+
+    it('should round-trip through JSON', () => {
+      const json = JSON.stringify(rangeList);
+      expect(JSON.parse(json)).to.deep.equal(rangeList.toArray());
+      expect(RangeList.fromJSON(json).toArray()).to.deep.equal(rangeList.toArray());
+      expect(RangeList.fromJSON(rangeList.toJSON()).toArray()).to.deep.equal(rangeList.toArray());
+    });
+
+    it('should round-trip through the binary encoding', () => {
+      const bytes = rangeList.toBinary();
+      expect(bytes).to.be.an.instanceof(Uint8Array);
+      expect(RangeList.fromBinary(bytes).toArray()).to.deep.equal(rangeList.toArray());
+      expect(() => RangeList.fromBinary(bytes.subarray(0, bytes.length - 1))).to.throw(RangeListError);
+    });
+
+    it('should reject malformed breakpoints', () => {
+      expect(() => new RangeList({})).to.throw(InvalidBreakpointsError, 'Breakpoints must be an array');
+      expect(() => new RangeList([[10]])).to.throw(InvalidBreakpointsError, 'Invalid breakpoint: [10]');
+      expect(() => new RangeList([[10, NaN]])).to.throw(InvalidBreakpointsError);
+      expect(() => new RangeList([['10', 1]])).to.throw(InvalidBreakpointsError);
+    });
+
+    it('should reject unsorted or duplicate positions', () => {
+      expect(
+        () =>
+          new RangeList([
+            [20, 1],
+            [10, 0],
+          ]),
+      ).to.throw('strictly increasing');
+      expect(
+        () =>
+          new RangeList([
+            [10, 1],
+            [10, 0],
+          ]),
+      ).to.throw('strictly increasing');
+    });
+
+    it('should reject breakpoints that are not normalized', () => {
+      expect(
+        () =>
+          new RangeList([
+            [10, 1],
+            [20, 1],
+            [30, 0],
+          ]),
+      ).to.throw('Redundant breakpoint at 20');
+      expect(() => new RangeList([[10, 0]])).to.throw('Redundant breakpoint at 10');
+    });
+  });
+
+  describe('diff and patch', () => {
+    it('should return no operations for equal range lists', () => {
+      rangeList.add(10, 30, 1);
+      expect(RangeList.diff(rangeList, new RangeList(rangeList.toArray()))).to.deep.equal([]);
+      expect(RangeList.diff(new RangeList(), new RangeList())).to.deep.equal([]);
+    });
+
+    it("should emit one set per run of b's intensity when no overlap helps", () => {
+      const a = new RangeList([
+        [0, 1],
+        [10, 5],
+        [20, 1],
+        [30, 0],
+        [40, 2],
+        [50, 0],
+      ]);
+      const b = new RangeList([
+        [0, 5],
+        [30, 0],
+        [45, 3],
+        [60, 0],
+      ]);
+      const operations = RangeList.diff(a, b);
+      expect(operations).to.deep.equal([
+        { op: 'set', from: 0, to: 30, amount: 5 },
+        { op: 'set', from: 40, to: 45, amount: 0 },
+        { op: 'set', from: 45, to: 60, amount: 3 },
+      ]);
+
+      a.patch(operations);
+      expect(a.toArray()).to.deep.equal(b.toArray());
+    });
+
+    it('should turn a into b for random range lists', () => {
+      // A small deterministic generator keeps failures reproducible
+      let seed = 42;
+      const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      };
+      const randomList = () => {
+        const list = new RangeList();
+        for (let i = random(8); i > 0; i--) {
+          const from = random(40);
+          list[random(2) ? 'add' : 'set'](from, from + 1 + random(15), random(4));
+        }
+        return list;
+      };
+
+      for (let i = 0; i < 200; i++) {
+        const [a, b] = [randomList(), randomList()];
+        const operations = RangeList.diff(a, b);
+        operations.forEach((operation) => expect(operation.from).to.be.below(operation.to));
+
+        a.patch(operations);
+        expect(a.toArray()).to.deep.equal(b.toArray());
+      }
+    });
+
+    it('should overlap sets when that takes fewer', () => {
+      const a = new RangeList();
+      const b = new RangeList([
+        [0, 1],
+        [4, 2],
+        [6, 1],
+        [10, 0],
+      ]);
+      const operations = RangeList.diff(a, b);
+      expect(operations).to.deep.equal([
+        { op: 'set', from: 0, to: 10, amount: 1 },
+        { op: 'set', from: 4, to: 6, amount: 2 },
+      ]);
+
+      a.patch(operations);
+      expect(a.toArray()).to.deep.equal(b.toArray());
+    });
+
+    it('should return as few sets as possible', () => {
+      // Breadth-first search over every sequence of sets on five unit cells finds the fewest
+      const cells = 5;
+      const fewestSets = (from, to) => {
+        const goal = to.join();
+        const seen = new Set([from.join()]);
+        for (let depth = 0, frontier = [from]; ; depth++) {
+          if (frontier.some((state) => state.join() === goal)) return depth;
+          const next = [];
+          for (const state of frontier) {
+            for (let i = 0; i < cells; i++) {
+              for (let j = i + 1; j <= cells; j++) {
+                for (let amount = 0; amount < 3; amount++) {
+                  const painted = state.map((value, k) => (k >= i && k < j ? amount : value));
+                  if (!seen.has(painted.join())) {
+                    seen.add(painted.join());
+                    next.push(painted);
+                  }
+                }
+              }
+            }
+          }
+          frontier = next;
+        }
+      };
+
+      let seed = 7;
+      const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      };
+      for (let i = 0; i < 50; i++) {
+        const [valuesA, valuesB] = [0, 1].map(() => Array.from({ length: cells }, () => random(3)));
+        const [a, b] = [valuesA, valuesB].map((values) => {
+          const list = new RangeList();
+          values.forEach((value, k) => list.set(k, k + 1, value));
+          return list;
+        });
+
+        const operations = RangeList.diff(a, b);
+        expect(operations).to.have.length(fewestSets(valuesA, valuesB));
+        a.patch(operations);
+        expect(a.toArray()).to.deep.equal(b.toArray());
+      }
+    });
+
+    it('should use the domain and algebra of the range lists', () => {
+      const a = new RangeList([], { domain: 'integer' });
+      const b = new RangeList([], { domain: 'integer' });
+      a.add(1, 5, 1);
+      b.add(3, 8, 1);
+      expect(RangeList.diff(a, b)).to.deep.equal([
+        { op: 'set', from: 1, to: 2, amount: 0 },
+        { op: 'set', from: 6, to: 8, amount: 1 },
+      ]);
+
+      const tenantsA = new RangeList([], { algebra: setUnionAlgebra });
+      const tenantsB = new RangeList([], { algebra: setUnionAlgebra });
+      tenantsA.add(0, 10, new Set(['a']));
+      tenantsB.add(0, 10, new Set(['a']));
+      tenantsB.add(5, 15, new Set(['b']));
+      tenantsA.patch(RangeList.diff(tenantsA, tenantsB));
+      expect(tenantsA.toArray()).to.deep.equal(tenantsB.toArray());
+    });
+
+    it('should reject differences over an unbounded range', () => {
+      expect(() => RangeList.diff(new RangeList([[0, 1]]), new RangeList())).to.throw(
+        RangeListError,
+        'diff cannot express a difference over an unbounded range',
+      );
+      expect(() => RangeList.diff(new RangeList(), new RangeList([], { base: 1 }))).to.throw(RangeListError);
+    });
+  });
+
+  describe('combine', () => {
+    let other;
+
+    beforeEach(() => {
+      rangeList.add(10, 30, 2);
+      other = new RangeList();
+      other.add(20, 40, 3);
+    });
+
+    it('should add two range lists', () => {
+      expect(rangeList.addList(other).toArray()).to.deep.equal([
+        [10, 2],
+        [20, 5],
+        [30, 3],
+        [40, 0],
+      ]);
+    });
+
+    it('should subtract and multiply two range lists', () => {
+      expect(rangeList.subtractList(other).toArray()).to.deep.equal([
+        [10, 2],
+        [20, -1],
+        [30, -3],
+        [40, 0],
+      ]);
+      expect(rangeList.multiplyList(other).toArray()).to.deep.equal([
+        [20, 6],
+        [30, 0],
+      ]);
+    });
+
+    it('should take the pointwise min and max', () => {
+      expect(rangeList.minList(other).toArray()).to.deep.equal([
+        [20, 2],
+        [30, 0],
+      ]);
+      expect(rangeList.maxList(other).toArray()).to.deep.equal([
+        [10, 2],
+        [20, 3],
+        [40, 0],
+      ]);
+    });
+
+    it('should normalize breakpoints that cancel out', () => {
+      const negated = new RangeList();
+      negated.add(10, 30, -2);
+      expect(rangeList.addList(negated).toArray()).to.deep.equal([]);
+    });
+
+    it('should accept a custom operator and leave the inputs untouched', () => {
+      const result = RangeList.combine(rangeList, other, (a, b) => (a > 0 && b > 0 ? 1 : 0));
+      expect(result.toArray()).to.deep.equal([
+        [20, 1],
+        [30, 0],
+      ]);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 2],
+        [30, 0],
+      ]);
+    });
+
+    it('should reject unknown operators', () => {
+      expect(() => RangeList.combine(rangeList, other, 'divide')).to.throw(RangeListError, 'Unknown operator: divide');
+      expect(() => RangeList.combine(rangeList, other, 'hasOwnProperty')).to.throw('Unknown operator: hasOwnProperty');
+    });
+
+    it('should combine the base intensities of both lists', () => {
+      const capacity = new RangeList([], { base: 10 });
+      capacity.add(0, 20, -4);
+
+      const result = capacity.subtractList(other);
+      expect(result.options.base).to.equal(10);
+      expect(result.toArray()).to.deep.equal([
+        [0, 6],
+        [20, 7],
+        [40, 10],
+      ]);
+      expect(RangeList.combine(rangeList, other, (a, b) => a + b + 1).toArray()).to.deep.equal([
+        [10, 3],
+        [20, 6],
+        [30, 4],
+        [40, 1],
+      ]);
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(() => {
+      rangeList.add(10, 30, 1);
+      rangeList.add(20, 40, 2);
+    });
+
+    it('should get the intensity at a position', () => {
+      expect(rangeList.get(5)).to.equal(0);
+      expect(rangeList.get(10)).to.equal(1);
+      expect(rangeList.get(25)).to.equal(3);
+      expect(rangeList.get(30)).to.equal(2);
+      expect(rangeList.get(40)).to.equal(0);
+    });
+
+    it('should return the base intensity at invalid positions', () => {
+      expect(rangeList.get(NaN)).to.equal(0);
+      expect(rangeList.get(undefined)).to.equal(0);
+      expect(new RangeList([[0, 1]], { base: 5 }).get(NaN)).to.equal(5);
+      expect(() => new RangeList([[0, 1]], { strict: true }).get(NaN)).to.throw(InvalidRangeError);
+    });
+
+    it('should return segments clipped to the range', () => {
+      expect([...rangeList.segments(15, 35)]).to.deep.equal([
+        { from: 15, to: 20, intensity: 1 },
+        { from: 20, to: 30, intensity: 3 },
+        { from: 30, to: 35, intensity: 2 },
+      ]);
+    });
+
+    it('should include base intensity segments outside of any range', () => {
+      expect([...rangeList.segments(0, 15)]).to.deep.equal([
+        { from: 0, to: 10, intensity: 0 },
+        { from: 10, to: 15, intensity: 1 },
+      ]);
+    });
+
+    it('should return no segments for an empty range', () => {
+      expect([...rangeList.segments(20, 20)]).to.deep.equal([]);
+    });
+
+    it('should compute min and max within a range', () => {
+      expect(rangeList.min(15, 35)).to.equal(1);
+      expect(rangeList.max(15, 35)).to.equal(3);
+      expect(rangeList.min(0, 50)).to.equal(0);
+      expect(rangeList.max(30, 40)).to.equal(2);
+    });
+
+    it('should return null for min and max of an empty range', () => {
+      expect(rangeList.min(30, 30)).to.be.null;
+      expect(rangeList.max(30, 10)).to.be.null;
+    });
+
+    it('should compute the length-weighted sum within a range', () => {
+      expect(rangeList.sum(15, 35)).to.equal(5 * 1 + 10 * 3 + 5 * 2);
+      expect(rangeList.sum(0, 100)).to.equal(10 * 1 + 10 * 3 + 10 * 2);
+      expect(rangeList.sum(50, 40)).to.equal(0);
+    });
+
+    it('should aggregate over ranges starting or ending exactly on breakpoints', () => {
+      expect(rangeList.min(20, 30)).to.equal(3);
+      expect(rangeList.max(10, 20)).to.equal(1);
+      expect(rangeList.sum(20, 40)).to.equal(10 * 3 + 10 * 2);
+      expect(rangeList.max(40, 50)).to.equal(0);
+    });
+  });
+
+  describe('threshold queries', () => {
+    beforeEach(() => {
+      rangeList.add(0, 100, 5);
+      rangeList.add(20, 40, 10);
+      rangeList.add(30, 60, 10);
+      rangeList.set(70, 80, 0);
+    });
+
+    it('should find merged regions above and below a level', () => {
+      expect(rangeList.whereAbove(10)).to.deep.equal([{ from: 20, to: 60 }]);
+      expect(rangeList.whereAbove(15)).to.deep.equal([{ from: 30, to: 40 }]);
+      expect(rangeList.whereBelow(10)).to.deep.equal([
+        { from: 0, to: 20 },
+        { from: 60, to: 100 },
+      ]);
+      expect(rangeList.whereAbove(100)).to.deep.equal([]);
+    });
+
+    it('should clip regions to a range', () => {
+      expect(rangeList.whereAbove(10, 35, 50)).to.deep.equal([{ from: 35, to: 50 }]);
+      expect(rangeList.whereBelow(10, -10, 75)).to.deep.equal([
+        { from: -10, to: 20 },
+        { from: 60, to: 75 },
+      ]);
+      expect(rangeList.whereAbove(10, 50, 50)).to.deep.equal([]);
+    });
+
+    it('should find regions equal to a value', () => {
+      expect(rangeList.whereEquals(5)).to.deep.equal([
+        { from: 0, to: 20 },
+        { from: 60, to: 70 },
+        { from: 80, to: 100 },
+      ]);
+      expect(rangeList.whereEquals(0, -50, 150)).to.deep.equal([
+        { from: -50, to: 0 },
+        { from: 70, to: 80 },
+        { from: 100, to: 150 },
+      ]);
+
+      rangeList = new RangeList([], { epsilon: 1e-9 });
+      rangeList.add(0, 10, 0.1 + 0.2);
+      expect(rangeList.whereEquals(0.3)).to.deep.equal([{ from: 0, to: 10 }]);
+
+      rangeList = new RangeList([], { algebra: bitmaskAlgebra });
+      rangeList.add(0, 10, 0b01);
+      rangeList.add(5, 20, 0b10);
+      expect(rangeList.whereEquals(0b11)).to.deep.equal([{ from: 5, to: 10 }]);
+      expect(() => rangeList.whereAbove(0)).to.throw(RangeListError, 'require a numeric algebra');
+    });
+
+    it('should find the first position matching a predicate', () => {
+      const hint = { mayMatch: (min, max) => max > 15 };
+      expect(rangeList.firstPositionWhere((intensity) => intensity > 15)).to.equal(30);
+      expect(rangeList.firstPositionWhere((intensity) => intensity > 15, undefined, hint)).to.equal(30);
+      expect(rangeList.firstPositionWhere((intensity) => intensity > 15, 35, hint)).to.equal(35);
+      expect(rangeList.firstPositionWhere((intensity) => intensity <= 0, 10)).to.equal(70);
+      expect(rangeList.firstPositionWhere((intensity) => intensity > 100)).to.be.null;
+      expect(new RangeList().firstPositionWhere(() => true)).to.be.null;
+    });
+
+    it('should check every breakpoint without a hint', () => {
+      rangeList = new RangeList([
+        [0, 1],
+        [10, 0],
+        [40, 9],
+        [50, 0],
+      ]);
+      expect(rangeList.firstPositionWhere((intensity) => intensity > 8, 0)).to.equal(40);
+      expect(rangeList.firstPositionWhere((intensity) => intensity === 0, 0)).to.equal(10);
+    });
+
+    it('should skip subtrees that cannot match', () => {
+      rangeList = RangeList.fromOperations(
+        Array.from({ length: 1000 }, (_, i) => ({
+          op: 'add',
+          from: i,
+          to: i + 1,
+          amount: i === 900 ? 5 : 1 + (i % 2),
+        })),
+      );
+      let calls = 0;
+      const position = rangeList.firstPositionWhere((intensity) => intensity > 2, undefined, {
+        mayMatch: (min, max) => {
+          calls++;
+          return max > 2;
+        },
+      });
+
+      expect(position).to.equal(900);
+      expect(calls).to.be.below(50);
+    });
+  });
+
+  describe('resample', () => {
+    beforeEach(() => {
+      rangeList = new RangeList([
+        [10, 1],
+        [20, 2],
+        [30, 1],
+        [40, 0],
+      ]);
+    });
+
+    it('should reduce fixed-width buckets, with a shorter last bucket', () => {
+      const buckets = (reducer) => rangeList.resample(0, 45, 10.5, reducer).map(({ value }) => value);
+      expect(rangeList.resample(0, 45, 10.5).map(({ from, to }) => [from, to])).to.deep.equal([
+        [0, 10.5],
+        [10.5, 21],
+        [21, 31.5],
+        [31.5, 42],
+        [42, 45],
+      ]);
+      expect(buckets('average')).to.deep.equal([0.5 / 10.5, 11.5 / 10.5, 19.5 / 10.5, 8.5 / 10.5, 0]);
+      expect(buckets('max')).to.deep.equal([1, 2, 2, 1, 0]);
+      expect(buckets('min')).to.deep.equal([0, 1, 1, 0, 0]);
+      expect(buckets('coverage')).to.deep.equal([0.5 / 10.5, 1, 1, 8.5 / 10.5, 0]);
+    });
+
+    it('should handle buckets straddling many segments', () => {
+      rangeList = new RangeList();
+      for (let i = 0; i < 100; i++) rangeList.add(i, i + 0.5, i % 4);
+
+      const buckets = rangeList.resample(0, 100, 25);
+      expect(buckets).to.have.length(4);
+      for (const { from, to, value } of buckets) {
+        expect(value).to.equal(rangeList.sum(from, to) / 25);
+      }
+      expect(rangeList.resample(0, 100, 25, 'coverage').map(({ value }) => value)).to.deep.equal([
+        (18 * 0.5) / 25,
+        (19 * 0.5) / 25,
+        (19 * 0.5) / 25,
+        (19 * 0.5) / 25,
+      ]);
+    });
+
+    it('should match per-bucket queries', () => {
+      for (const [from, to, size] of [
+        [0, 50, 3],
+        [12, 37, 7],
+        [15, 16, 0.25],
+        [25, 26, 5],
+      ]) {
+        for (const { from: bucketFrom, to: bucketTo, value } of rangeList.resample(from, to, size, 'max')) {
+          expect(value).to.equal(rangeList.max(bucketFrom, bucketTo));
+        }
+        for (const { from: bucketFrom, to: bucketTo, value } of rangeList.resample(from, to, size, 'min')) {
+          expect(value).to.equal(rangeList.min(bucketFrom, bucketTo));
+        }
+      }
+    });
+
+    it('should use inclusive bucket ends in the integer domain', () => {
+      rangeList = new RangeList([], { domain: 'integer' });
+      rangeList.add(2, 5, 1);
+      expect(rangeList.resample(0, 9, 4, 'coverage')).to.deep.equal([
+        { from: 0, to: 3, value: 0.5 },
+        { from: 4, to: 7, value: 0.5 },
+        { from: 8, to: 9, value: 0 },
+      ]);
+    });
+
+    it('should measure coverage against the base intensity', () => {
+      rangeList = new RangeList([], { base: 100 });
+      rangeList.add(0, 5, -100);
+      expect(rangeList.resample(0, 20, 10, 'coverage').map(({ value }) => value)).to.deep.equal([0.5, 0]);
+
+      rangeList = new RangeList([], { epsilon: 1e-6 });
+      rangeList.add(0, 5, 1e-9);
+      rangeList.add(5, 10, 1);
+      expect(rangeList.resample(0, 10, 10, 'coverage').map(({ value }) => value)).to.deep.equal([0.5]);
+    });
+
+    it('should return no buckets for an empty range and reject invalid arguments', () => {
+      expect(rangeList.resample(20, 20, 5)).to.deep.equal([]);
+      expect(() => rangeList.resample(0, 10, 0)).to.throw(RangeListError, 'Invalid bucket size: 0');
+      expect(() => rangeList.resample(0, 10, 5, 'median')).to.throw(RangeListError, 'Unknown reducer: median');
+      expect(() => rangeList.resample(0, 10, 5, 'toString')).to.throw('Unknown reducer: toString');
+      expect(() => new RangeList([], { order: stringOrder }).resample('a', 'b', 1)).to.throw(RangeListError);
+    });
+  });
+
+  describe('allocation', () => {
+    beforeEach(() => {
+      rangeList.add(0, 10, 1);
+      rangeList.add(15, 20, 2);
+      rangeList.add(22, 40, 1);
+      rangeList.add(25, 30, 1);
+    });
+
+    it('should find the first gap of a given length', () => {
+      expect(rangeList.findFirstFit(5)).to.equal(10);
+      expect(rangeList.findFirstFit(6)).to.equal(40);
+      expect(rangeList.findFirstFit(2, { from: 12 })).to.equal(12);
+      expect(rangeList.findFirstFit(5, { from: -100 })).to.equal(-100);
+    });
+
+    it('should allow intensities up to a limit', () => {
+      expect(rangeList.findFirstFit(12, { maxIntensity: 1 })).to.equal(0);
+      expect(rangeList.findFirstFit(12, { maxIntensity: 1, from: 5 })).to.equal(30);
+      expect(rangeList.findFirstFit(100, { maxIntensity: 2 })).to.equal(0);
+    });
+
+    it('should respect the latest allowed end', () => {
+      expect(rangeList.findFirstFit(5, { to: 15 })).to.equal(10);
+      expect(rangeList.findFirstFit(6, { to: 45 })).to.be.null;
+      expect(rangeList.findFirstFit(6, { to: 46 })).to.equal(40);
+    });
+
+    it('should reserve the first fitting range with a single add', () => {
+      const events = [];
+      rangeList.on('change', (event) => events.push(event.operation));
+
+      expect(rangeList.reserve(5, 3)).to.deep.equal({ from: 10, to: 15 });
+      expect(rangeList.reserve(2, 3)).to.deep.equal({ from: 20, to: 22 });
+      expect(rangeList.reserve(2, 3, { maxIntensity: 1 })).to.deep.equal({ from: 0, to: 2 });
+      expect(rangeList.findFirstFit(1, { maxIntensity: 2, to: 40 })).to.equal(2);
+
+      expect(events).to.deep.equal([
+        { op: 'add', from: 10, to: 15, amount: 3 },
+        { op: 'add', from: 20, to: 22, amount: 3 },
+        { op: 'add', from: 0, to: 2, amount: 3 },
+      ]);
+    });
+
+    it('should start at the origin, before the first breakpoint', () => {
+      rangeList = new RangeList([
+        [100, 1],
+        [110, 0],
+      ]);
+      expect(rangeList.findFirstFit(5)).to.equal(0);
+      expect(rangeList.findFirstFit(101)).to.equal(110);
+      expect(rangeList.reserve(100, 1)).to.deep.equal({ from: 0, to: 100 });
+      expect(rangeList.findFirstFit(5, { from: 98 })).to.equal(110);
+    });
+
+    it('should reject invalid from and to positions', () => {
+      expect(rangeList.findFirstFit(5, { from: NaN })).to.be.null;
+      expect(rangeList.findFirstFit(5, { from: 'abc' })).to.be.null;
+      expect(rangeList.findFirstFit(5, { to: NaN })).to.be.null;
+      expect(rangeList.reserve(5, 1, { from: NaN })).to.be.null;
+      expect(rangeList.get(10)).to.equal(0);
+
+      rangeList = new RangeList([], { strict: true });
+      expect(() => rangeList.findFirstFit(5, { from: NaN })).to.throw(InvalidRangeError);
+      expect(() => rangeList.reserve(5, 1, { to: 'abc' })).to.throw(InvalidRangeError);
+    });
+
+    it('should start at the origin of an empty list', () => {
+      rangeList = new RangeList();
+      expect(rangeList.findFirstFit(5)).to.equal(0);
+      expect(rangeList.findFirstFit(5, { to: 4 })).to.be.null;
+      expect(new RangeList([], { base: 2 }).findFirstFit(5)).to.be.null;
+
+      expect(rangeList.reserve(5, 1)).to.deep.equal({ from: 0, to: 5 });
+      expect(rangeList.reserve(5, 1)).to.deep.equal({ from: 5, to: 10 });
+      expect(new RangeList([], { order: bigintOrder }).reserve(5, 1)).to.deep.equal({ from: 0n, to: 5n });
+
+      const order = { ...dateOrder, origin: undefined };
+      expect(() => new RangeList([], { order }).findFirstFit(5)).to.throw(RangeListError);
+      expect(new RangeList([], { order }).findFirstFit(5, { from: new Date(100) }).getTime()).to.equal(100);
+    });
+
+    it('should reserve BigInt and Date ranges', () => {
+      rangeList = new RangeList([], { order: bigintOrder });
+      rangeList.add(0n, 10n, 1);
+      expect(rangeList.reserve(5, 1, { from: 0n })).to.deep.equal({ from: 10n, to: 15n });
+      expect(() => rangeList.reserve(2.5, 1)).to.throw(RangeListError, 'Invalid length for BigInt positions: 2.5');
+      expect(() => rangeList.insertGap(0n, 1.5)).to.throw(RangeListError);
+      expect(() => rangeList.resample(0n, 10n, 2.5)).to.throw(RangeListError);
+      expect(rangeList.toArray()).to.deep.equal([
+        [0n, 1],
+        [15n, 0],
+      ]);
+
+      rangeList = new RangeList([], { order: dateOrder });
+      rangeList.add(new Date(0), new Date(1000), 1);
+      const { from, to } = rangeList.reserve(500, 1);
+      expect([from.getTime(), to.getTime()]).to.deep.equal([1000, 1500]);
+    });
+
+    it('should reject invalid lengths and amounts', () => {
+      expect(() => rangeList.findFirstFit(0)).to.throw(RangeListError, 'Invalid length: 0');
+      expect(() => rangeList.findFirstFit(NaN)).to.throw(RangeListError);
+      expect(rangeList.reserve(5, NaN)).to.be.null;
+      expect(() => new RangeList([], { strict: true }).reserve(5, NaN, { from: 0 })).to.throw(InvalidAmountError);
+      expect(() => new RangeList([], { order: stringOrder }).reserve(1, 1)).to.throw(RangeListError);
+    });
+  });
+
+  describe('iteration', () => {
+    beforeEach(() => {
+      rangeList.add(10, 30, 1);
+      rangeList.add(20, 40, 2);
+    });
+
+    it('should iterate over breakpoints like toArray', () => {
+      expect([...rangeList]).to.deep.equal(rangeList.toArray());
+      expect(Array.from(rangeList)).to.deep.equal([
+        [10, 1],
+        [20, 3],
+        [30, 2],
+        [40, 0],
+      ]);
+    });
+
+    it('should iterate over breakpoints within a range', () => {
+      expect([...rangeList.entries(15, 40)]).to.deep.equal([
+        [20, 3],
+        [30, 2],
+      ]);
+      expect([...rangeList.entries(30)]).to.deep.equal([
+        [30, 2],
+        [40, 0],
+      ]);
+    });
+
+    it('should yield segments between the first and last breakpoint by default', () => {
+      expect([...rangeList.segments()]).to.deep.equal([
+        { from: 10, to: 20, intensity: 1 },
+        { from: 20, to: 30, intensity: 3 },
+        { from: 30, to: 40, intensity: 2 },
+      ]);
+      expect([...new RangeList().segments()]).to.deep.equal([]);
+    });
+
+    it('should yield segments lazily', () => {
+      const segments = rangeList.segments(0, 100);
+      expect(segments.next().value).to.deep.equal({ from: 0, to: 10, intensity: 0 });
+      expect(segments.next().value).to.deep.equal({ from: 10, to: 20, intensity: 1 });
+    });
+  });
+
+  describe('validation', () => {
+    it('should ignore invalid arguments by default', () => {
+      rangeList.add(10, 20, 1);
+      rangeList.add(NaN, 30, 1);
+      rangeList.add(10, Infinity, 1);
+      rangeList.add('10', 30, 1);
+      rangeList.add(undefined, 30, 1);
+      rangeList.set(30, 20, 1);
+      rangeList.set(10, 20, NaN);
+      rangeList.add(10, 20, '1');
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 0],
+      ]);
+      expect(rangeList.get(15)).to.equal(1);
+    });
+
+    describe('in strict mode', () => {
+      beforeEach(() => {
+        rangeList = new RangeList([], { strict: true });
+      });
+
+      it('should throw InvalidRangeError for non-finite or reversed boundaries', () => {
+        expect(() => rangeList.add(NaN, 30, 1)).to.throw(InvalidRangeError, 'Invalid range [NaN, 30)');
+        expect(() => rangeList.add(0, Infinity, 1)).to.throw(InvalidRangeError);
+        expect(() => rangeList.set('10', 30, 1)).to.throw(InvalidRangeError);
+        expect(() => rangeList.set(30, 20, 1)).to.throw(InvalidRangeError);
+      });
+
+      it('should throw InvalidAmountError for non-finite amounts', () => {
+        expect(() => rangeList.add(10, 20, undefined)).to.throw(InvalidAmountError, 'Invalid amount: undefined');
+        expect(() => rangeList.set(10, 20, -Infinity)).to.throw(InvalidAmountError);
+      });
+
+      it('should expose the rejected arguments on a RangeListError', () => {
+        try {
+          rangeList.add(5, 1, 1);
+          expect.fail('add should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(RangeListError);
+          expect(error.name).to.equal('InvalidRangeError');
+          expect(error.from).to.equal(5);
+          expect(error.to).to.equal(1);
+        }
+      });
+
+      it('should still treat empty ranges as no-ops', () => {
+        rangeList.add(10, 10, 1);
+        rangeList.set(10, 10, 1);
+        expect(rangeList.toArray()).to.deep.equal([]);
+      });
+
+      it('should leave the list unchanged when a batch contains an invalid operation', () => {
+        rangeList.add(10, 20, 1);
+        expect(() =>
+          rangeList.applyBatch([
+            { op: 'add', from: 0, to: 5, amount: 1 },
+            { op: 'set', from: 0, to: 5, amount: NaN },
+          ]),
+        ).to.throw(InvalidAmountError);
+        expect(rangeList.toArray()).to.deep.equal([
+          [10, 1],
+          [20, 0],
+        ]);
+      });
+    });
+  });
+
+  describe('base intensity and equality', () => {
+    it('should use the base intensity outside of all breakpoints', () => {
+      rangeList = new RangeList([], { base: 100 });
+      expect(rangeList.get(0)).to.equal(100);
+      expect(rangeList.max(0, 10)).to.equal(100);
+
+      rangeList.add(10, 30, -20);
+      rangeList.add(20, 40, 5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 80],
+        [20, 85],
+        [30, 105],
+        [40, 100],
+      ]);
+      expect(rangeList.sum(0, 50)).to.equal(100 * 10 + 80 * 10 + 85 * 10 + 105 * 10 + 100 * 10);
+    });
+
+    it('should drop points that return to the base intensity', () => {
+      rangeList = new RangeList([], { base: 100 });
+      rangeList.add(10, 30, 1);
+      rangeList.set(0, 20, 100);
+      rangeList.add(20, 30, -1);
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should validate constructor breakpoints against the base intensity', () => {
+      expect(() => new RangeList([[10, 5]], { base: 5 })).to.throw('Redundant breakpoint at 10');
+      expect(new RangeList([[10, 0]], { base: 5 }).get(20)).to.equal(0);
+    });
+
+    it('should apply batches relative to the base intensity', () => {
+      rangeList = RangeList.fromOperations(
+        [
+          { op: 'add', from: 10, to: 30, amount: 5 },
+          { op: 'set', from: 20, to: 40, amount: 100 },
+        ],
+        { base: 100 },
+      );
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 105],
+        [20, 100],
+      ]);
+    });
+
+    it('should leave phantom breakpoints with exact equality', () => {
+      rangeList.add(10, 20, 0.1);
+      rangeList.add(10, 20, 0.2);
+      rangeList.add(10, 20, -0.3);
+      expect(rangeList.toArray()).to.have.lengthOf(2);
+    });
+
+    it('should remove near-equal breakpoints with an epsilon', () => {
+      rangeList = new RangeList([], { epsilon: 1e-9 });
+      rangeList.add(10, 20, 0.1);
+      rangeList.add(10, 20, 0.2);
+      rangeList.add(10, 20, -0.3);
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should accept a custom equality function', () => {
+      rangeList = new RangeList([], { equals: (a, b) => Math.round(a) === Math.round(b) });
+      rangeList.add(10, 20, 1);
+      rangeList.add(15, 20, 0.2);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 0],
+      ]);
+    });
   });
 
-  describe('set', () => {
-    it('should set intensity for a specific range', () => {
-      rangeList.add(10, 50, 1);
-      rangeList.set(20, 40, 5);
+  describe('value algebras', () => {
+    it('should track sets of members with the set union algebra', () => {
+      rangeList = new RangeList([], { algebra: setUnionAlgebra });
+      rangeList.add(10, 30, new Set(['a']));
+      rangeList.add(20, 40, new Set(['b']));
+      rangeList.add(30, 40, new Set(['a']));
+
+      expect(rangeList.toArray().map(([position, members]) => [position, [...members].sort()])).to.deep.equal([
+        [10, ['a']],
+        [20, ['a', 'b']],
+        [40, []],
+      ]);
+      expect([...rangeList.get(35)].sort()).to.deep.equal(['a', 'b']);
+      expect(rangeList.get(0).size).to.equal(0);
+    });
+
+    it('should set and clean up non-numeric intensities', () => {
+      rangeList = new RangeList([], { algebra: bitmaskAlgebra });
+      rangeList.add(0, 100, 0b01);
+      rangeList.add(50, 150, 0b10);
+      rangeList.set(40, 60, 0b01);
+      rangeList.set(100, 150, 0);
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 0b01],
+        [60, 0b11],
+        [100, 0],
+      ]);
+    });
+
+    it('should add vectors element-wise', () => {
+      rangeList = new RangeList([], { algebra: createVectorAlgebra(2) });
+      rangeList.add(0, 10, [2, 512]);
+      rangeList.add(5, 15, [1, 256]);
+      rangeList.add(10, 15, [-1, -256]);
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, [2, 512]],
+        [5, [3, 768]],
+        [10, [0, 0]],
+      ]);
+    });
+
+    it('should apply batches of any algebra in a single sweep', () => {
+      const operations = [
+        { op: 'add', from: 0, to: 10, amount: 0b001 },
+        { op: 'add', from: 5, to: 15, amount: 0b010 },
+        { op: 'set', from: 8, to: 12, amount: 0b100 },
+        { op: 'add', from: 0, to: 20, amount: 0b100 },
+      ];
+      const sequential = new RangeList([], { algebra: bitmaskAlgebra });
+      for (const { op, from, to, amount } of operations) sequential[op](from, to, amount);
+      expect(RangeList.fromOperations(operations, { algebra: bitmaskAlgebra }).toArray()).to.deep.equal(
+        sequential.toArray(),
+      );
+
+      const sets = [
+        { op: 'add', from: 0, to: 30, amount: new Set(['a']) },
+        { op: 'add', from: 10, to: 40, amount: new Set(['b']) },
+        { op: 'set', from: 20, to: 25, amount: new Set(['c']) },
+        { op: 'add', from: 22, to: 50, amount: new Set(['d']) },
+      ];
+      const sequentialSets = new RangeList([], { algebra: setUnionAlgebra });
+      for (const { op, from, to, amount } of sets) sequentialSets[op](from, to, amount);
+      const batchedSets = RangeList.fromOperations(sets, { algebra: setUnionAlgebra });
+      const members = (rangeList) => rangeList.toArray().map(([position, set]) => [position, [...set].sort()]);
+      expect(members(batchedSets)).to.deep.equal(members(sequentialSets));
+      expect(members(batchedSets)).to.deep.equal([
+        [0, ['a']],
+        [10, ['a', 'b']],
+        [20, ['c']],
+        [22, ['c', 'd']],
+        [25, ['a', 'b', 'd']],
+        [30, ['b', 'd']],
+        [40, ['d']],
+        [50, []],
+      ]);
+
+      const vectors = RangeList.fromOperations(
+        [
+          { op: 'add', from: 0, to: 10, amount: [1, 1] },
+          { op: 'set', from: 5, to: 15, amount: [4, 0] },
+          { op: 'add', from: 0, to: 20, amount: [0, 2] },
+        ],
+        { algebra: createVectorAlgebra(2) },
+      );
+      expect(vectors.toArray()).to.deep.equal([
+        [0, [1, 3]],
+        [5, [4, 2]],
+        [15, [0, 2]],
+        [20, [0, 0]],
+      ]);
+    });
+
+    it('should validate amounts with the algebra', () => {
+      rangeList = new RangeList([], { algebra: setUnionAlgebra, strict: true });
+      expect(() => rangeList.add(0, 10, ['a'])).to.throw(InvalidAmountError);
+      expect(() => new RangeList([[0, 1]], { algebra: setUnionAlgebra })).to.throw(InvalidBreakpointsError);
+    });
+
+    it('should reject numeric-only features for other algebras', () => {
+      rangeList = new RangeList([], { algebra: setUnionAlgebra });
+      rangeList.add(0, 10, new Set(['a']));
+      expect(() => rangeList.max(0, 10)).to.throw(RangeListError, 'require a numeric algebra');
+      expect(() => rangeList.toBinary()).to.throw(RangeListError, 'require a numeric algebra');
+    });
+  });
+
+  describe('integer domain', () => {
+    beforeEach(() => {
+      rangeList = new RangeList([], { domain: 'integer', historyLimit: 10 });
+    });
+
+    it('should treat ranges as inclusive and merge adjacent ones', () => {
+      rangeList.add(1, 3, 1);
+      rangeList.add(4, 5, 1);
+      expect(rangeList.toArray()).to.deep.equal([
+        [1, 1],
+        [6, 0],
+      ]);
+      expect([...rangeList.segments()]).to.deep.equal([{ from: 1, to: 5, intensity: 1 }]);
+
+      rangeList.set(3, 3, 7);
+      expect(rangeList.get(3)).to.equal(7);
+      expect(rangeList.get(4)).to.equal(1);
+      expect([...rangeList.segments(0, 4)]).to.deep.equal([
+        { from: 0, to: 0, intensity: 0 },
+        { from: 1, to: 2, intensity: 1 },
+        { from: 3, to: 3, intensity: 7 },
+        { from: 4, to: 4, intensity: 1 },
+      ]);
+    });
+
+    it('should count slots in aggregates and queries', () => {
+      rangeList.add(1, 3, 2);
+      rangeList.add(3, 5, 1);
+
+      expect(rangeList.sum(1, 5)).to.equal(2 + 2 + 3 + 1 + 1);
+      expect(rangeList.max(4, 5)).to.equal(1);
+      expect(rangeList.min(3, 3)).to.equal(3);
+      expect(rangeList.whereAbove(1)).to.deep.equal([{ from: 1, to: 3 }]);
+      expect(rangeList.whereEquals(1, 0, 10)).to.deep.equal([{ from: 4, to: 5 }]);
+      expect([...rangeList.entries(1, 3)]).to.deep.equal([
+        [1, 2],
+        [3, 3],
+      ]);
+    });
+
+    it('should allocate, clear and delete whole slots', () => {
+      rangeList.add(0, 4, 1);
+      expect(rangeList.findFirstFit(3, { from: 0, to: 7 })).to.equal(5);
+      expect(rangeList.findFirstFit(3, { from: 0, to: 6 })).to.be.null;
+      expect(rangeList.reserve(2, 1, { from: 0 })).to.deep.equal({ from: 5, to: 6 });
+
+      rangeList.clear(2, 2);
+      rangeList.deleteSpan(4, 4);
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 1],
+        [2, 0],
+        [3, 1],
+        [6, 0],
+      ]);
+    });
+
+    it('should report changes with inclusive ends', () => {
+      const events = [];
+      rangeList.on('change', (event) => events.push(event));
+      rangeList.add(1, 2, 1);
+
+      expect(events[0]).to.deep.include({
+        operation: { op: 'add', from: 1, to: 2, amount: 1 },
+        from: 1,
+        to: 2,
+        after: [{ from: 1, to: 2, intensity: 1 }],
+      });
+      rangeList.undo();
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should require integer positions', () => {
+      rangeList = new RangeList([], { domain: 'integer', strict: true });
+      expect(() => rangeList.add(0.5, 2, 1)).to.throw(InvalidRangeError);
+      expect(() => rangeList.add(3, 1, 1)).to.throw(InvalidRangeError, 'Invalid range [3, 1)');
+      expect(() => new RangeList([[0.5, 1]], { domain: 'integer' })).to.throw(InvalidBreakpointsError);
+      expect(() => new RangeList([], { domain: 'integer' }).scale(2)).to.throw(RangeListError);
+      expect(() => new RangeList([], { domain: 'closed' })).to.throw(RangeListError, 'Unknown domain: closed');
+      expect(() => new RangeList([], { domain: 'integer', order: dateOrder })).to.throw(RangeListError);
+      expect(() => new RangeList([], { domain: 'integer', order: stringOrder })).to.throw(RangeListError);
+
+      rangeList = new RangeList([], { domain: 'integer', order: bigintOrder });
+      rangeList.add(1n, 1n, 1);
+      expect(rangeList.toArray()).to.deep.equal([
+        [1n, 1],
+        [2n, 0],
+      ]);
+    });
+  });
+
+  describe('position orders', () => {
+    it('should use BigInt positions', () => {
+      rangeList = new RangeList([], { order: bigintOrder });
+      rangeList.add(10n ** 18n, 10n ** 18n + 100n, 2);
+      rangeList.add(10n ** 18n + 50n, 10n ** 18n + 200n, 1);
+      rangeList.set(10n ** 18n + 150n, 10n ** 18n + 200n, 0);
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [10n ** 18n, 2],
+        [10n ** 18n + 50n, 3],
+        [10n ** 18n + 100n, 1],
+        [10n ** 18n + 150n, 0],
+      ]);
+      expect(rangeList.get(10n ** 18n + 75n)).to.equal(3);
+      expect(rangeList.sum(10n ** 18n, 10n ** 18n + 150n)).to.equal(2 * 50 + 3 * 50 + 1 * 50);
+      expect(rangeList.max(0n, 10n ** 19n)).to.equal(3);
+    });
+
+    it('should use Date positions with distances in milliseconds', () => {
+      const at = (minute) => new Date(Date.UTC(2024, 0, 1, 0, minute));
+      rangeList = RangeList.fromOperations(
+        [
+          { op: 'add', from: at(0), to: at(30), amount: 1 },
+          { op: 'add', from: at(15), to: at(45), amount: 1 },
+        ],
+        { order: dateOrder },
+      );
+
+      expect(rangeList.toArray().map(([date, intensity]) => [date.getTime(), intensity])).to.deep.equal([
+        [at(0).getTime(), 1],
+        [at(15).getTime(), 2],
+        [at(30).getTime(), 1],
+        [at(45).getTime(), 0],
+      ]);
+      expect(rangeList.get(new Date(at(20).getTime()))).to.equal(2);
+      expect(rangeList.sum(at(0), at(60))).to.equal(60 * 60000);
+    });
+
+    it('should use string positions without a distance', () => {
+      rangeList = new RangeList([], { order: stringOrder });
+      rangeList.add('010.000.000.000', '010.255.255.255', 1);
+      rangeList.add('010.128.000.000', '192.168.000.000', 1);
+
+      expect(rangeList.get('010.200.000.001')).to.equal(2);
+      expect([...rangeList.segments('010.000.000.000', '011')]).to.deep.equal([
+        { from: '010.000.000.000', to: '010.128.000.000', intensity: 1 },
+        { from: '010.128.000.000', to: '010.255.255.255', intensity: 2 },
+        { from: '010.255.255.255', to: '011', intensity: 1 },
+      ]);
+      expect(rangeList.max('000', '999')).to.equal(2);
+      expect(() => rangeList.sum('000', '999')).to.throw(RangeListError, 'requires an order with a distance');
+      expect(() => rangeList.toBinary()).to.throw(RangeListError, 'requires numeric positions');
+    });
+
+    it('should validate positions with the order', () => {
+      rangeList = new RangeList([], { order: bigintOrder, strict: true });
+      expect(() => rangeList.add(0, 10, 1)).to.throw(InvalidRangeError);
+      expect(() => rangeList.add(10n, 0n, 1)).to.throw(InvalidRangeError);
+      expect(() => new RangeList([[1, 1]], { order: bigintOrder })).to.throw(InvalidBreakpointsError);
+    });
+  });
+
+  describe('clear, clip, shift and scale', () => {
+    beforeEach(() => {
+      rangeList = new RangeList([], { historyLimit: 10 });
+      rangeList.add(10, 20, 1);
+      rangeList.add(15, 30, 2);
+    });
+
+    it('should clear a range to the base intensity', () => {
+      rangeList.clear(12, 25);
       expect(rangeList.toArray()).to.deep.equal([
         [10, 1],
-        [20, 5],
+        [12, 0],
+        [25, 2],
+        [30, 0],
+      ]);
+
+      rangeList = new RangeList([], { base: 5 });
+      rangeList.add(0, 10, 1);
+      rangeList.clear(0, 100);
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should clip to a window', () => {
+      rangeList.clip(12, 25);
+      expect(rangeList.toArray()).to.deep.equal([
+        [12, 1],
+        [15, 3],
+        [20, 2],
+        [25, 0],
+      ]);
+
+      rangeList.clip(0, 14);
+      expect(rangeList.toArray()).to.deep.equal([
+        [12, 1],
+        [14, 0],
+      ]);
+      rangeList.clip(40, 50);
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should shift all breakpoints', () => {
+      rangeList.shift(-5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [5, 1],
+        [10, 3],
+        [15, 2],
+        [25, 0],
+      ]);
+      expect(() => rangeList.shift(NaN)).to.throw(RangeListError, 'Invalid delta');
+      expect(() => new RangeList([], { order: stringOrder }).shift(1)).to.throw(RangeListError, 'requires an order');
+    });
+
+    it('should move a range, replacing the intensities at its destination', () => {
+      rangeList.shiftRange(10, 15, 30);
+      expect(rangeList.toArray()).to.deep.equal([
+        [15, 3],
+        [20, 2],
+        [30, 0],
         [40, 1],
-        [50, 0],
+        [45, 0],
+      ]);
+
+      rangeList.shiftRange(40, 45, -20);
+      expect(rangeList.toArray()).to.deep.equal([
+        [15, 3],
+        [20, 1],
+        [25, 2],
+        [30, 0],
       ]);
     });
 
-    it('should replace all intensities within the range', () => {
-      rangeList.add(10, 50, 1);
-      rangeList.add(20, 40, 2);
-      rangeList.add(30, 35, 3);
-      rangeList.set(25, 45, 0);
+    it('should scale positions and merge those that collide', () => {
+      rangeList.scale(2);
+      expect(rangeList.toArray()).to.deep.equal([
+        [20, 1],
+        [30, 3],
+        [40, 2],
+        [60, 0],
+      ]);
+
+      rangeList = new RangeList([
+        [1, 1],
+        [1.0000000000000002, 2],
+        [2, 0],
+      ]);
+      rangeList.scale(1e-320);
+      expect(rangeList.toArray()).to.have.length(2);
+      expect(() => rangeList.scale(0)).to.throw(RangeListError, 'Invalid factor: 0');
+      expect(() => new RangeList([], { order: bigintOrder }).scale(2)).to.throw(RangeListError, 'numeric positions');
+    });
+
+    it('should record and report every change', () => {
+      const events = [];
+      rangeList.on('change', ({ operation, from, to }) => events.push({ op: operation.op, from, to }));
+      rangeList.clear(0, 12);
+      rangeList.shiftRange(20, 30, 5);
+      rangeList.shift(100);
+      rangeList.scale(0.5);
+      rangeList.clip(60, 70);
+
+      expect(events).to.deep.equal([
+        { op: 'clear', from: 0, to: 12 },
+        { op: 'shiftRange', from: 20, to: 35 },
+        { op: 'shift', from: 12, to: 135 },
+        { op: 'scale', from: 56, to: 135 },
+        { op: 'clip', from: 56, to: 67.5 },
+      ]);
+      for (let i = 0; i < 5; i++) rangeList.undo();
       expect(rangeList.toArray()).to.deep.equal([
         [10, 1],
-        [20, 3],
+        [15, 3],
+        [20, 2],
+        [30, 0],
+      ]);
+    });
+  });
+
+  describe('insertGap and deleteSpan', () => {
+    beforeEach(() => {
+      rangeList = new RangeList([], { historyLimit: 10 });
+      rangeList.add(10, 20, 1);
+      rangeList.add(15, 30, 2);
+    });
+
+    it('should insert a gap continuing the intensity before it', () => {
+      rangeList.insertGap(12, 100);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [115, 3],
+        [120, 2],
+        [130, 0],
+      ]);
+
+      rangeList.insertGap(10, 5);
+      expect(rangeList.toArray()).to.deep.equal([
+        [15, 1],
+        [120, 3],
+        [125, 2],
+        [135, 0],
+      ]);
+      expect(rangeList.get(14)).to.equal(0);
+      expect(rangeList.sum(0, 200)).to.equal(105 * 1 + 5 * 3 + 10 * 2);
+    });
+
+    it('should delete a span and move later breakpoints back', () => {
+      rangeList.deleteSpan(12, 17);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [12, 3],
+        [15, 2],
         [25, 0],
-        [45, 1],
-        [50, 0],
       ]);
+
+      rangeList.deleteSpan(11, 15);
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [11, 2],
+        [21, 0],
+      ]);
+
+      rangeList.deleteSpan(0, 100);
+      expect(rangeList.toArray()).to.deep.equal([]);
     });
 
-    it('should handle empty ranges', () => {
-      rangeList.add(10, 50, 1);
-      rangeList.set(30, 30, 5);
+    it('should merge the intensities on either side of a deleted span', () => {
+      rangeList.deleteSpan(10, 30);
+      expect(rangeList.toArray()).to.deep.equal([]);
+
+      rangeList.undo();
+      rangeList.deleteSpan(12, 15);
+      rangeList.deleteSpan(14, 24);
       expect(rangeList.toArray()).to.deep.equal([
         [10, 1],
-        [50, 0],
+        [12, 3],
+        [14, 2],
+        [17, 0],
       ]);
     });
 
-    it('should handle setting intensity at the edges of existing segments', () => {
-      rangeList.add(10, 30, 1);
-      rangeList.set(10, 20, 5);
+    it('should move BigInt positions exactly, by spans over 2^53', () => {
+      const t = 1700000000000000000n;
+      const span = 2n ** 53n + 1n;
+      rangeList = new RangeList(
+        [
+          [t, 1],
+          [t + 10n, 0],
+          [t + 10n + span + 5n, 2],
+          [t + 10n + span + 6n, 0],
+        ],
+        { order: bigintOrder },
+      );
+
+      rangeList.deleteSpan(t + 10n, t + 10n + span);
       expect(rangeList.toArray()).to.deep.equal([
-        [10, 5],
-        [20, 1],
+        [t, 1],
+        [t + 10n, 0],
+        [t + 15n, 2],
+        [t + 16n, 0],
+      ]);
+      expect(rangeList.sum(t, t + 20n)).to.equal(12);
+
+      rangeList.insertGap(t + 12n, 5n);
+      rangeList.insertGap(t + 12n, 3);
+      rangeList.insertGap(t + 5n, span);
+      expect(rangeList.toArray()).to.deep.equal([
+        [t, 1],
+        [t + 10n + span, 0],
+        [t + 23n + span, 2],
+        [t + 24n + span, 0],
+      ]);
+      expect(rangeList.get(t + 23n + span)).to.equal(2);
+    });
+
+    it('should keep working after many lazy displacements', () => {
+      const reference = [];
+      for (let i = 0; i < 200; i++) reference.push(i % 3);
+      rangeList = new RangeList();
+      reference.forEach((intensity, i) => rangeList.add(i, i + 1, intensity));
+
+      for (let i = 0; i < 50; i++) {
+        const at = (i * 37) % reference.length;
+        if (i % 2 === 0) {
+          rangeList.insertGap(at, 2);
+          reference.splice(at, 0, at > 0 ? reference[at - 1] : 0, at > 0 ? reference[at - 1] : 0);
+        } else {
+          rangeList.deleteSpan(at, at + 3);
+          reference.splice(at, 3);
+        }
+        rangeList.add(at, at + 1, 1);
+        reference[at] += 1;
+      }
+
+      expect(reference.map((_, i) => rangeList.get(i))).to.deep.equal(reference);
+      expect(rangeList.sum(0, reference.length)).to.equal(reference.reduce((a, b) => a + b, 0));
+      expect(rangeList.toArray().every(([, intensity], i, array) => intensity !== (i > 0 ? array[i - 1][1] : 0))).to.be
+        .true;
+    });
+
+    it('should record, report and validate displacements', () => {
+      const events = [];
+      rangeList.on('change', ({ operation, from, to }) => events.push({ op: operation.op, from, to }));
+      rangeList.insertGap(5, 10);
+      rangeList.deleteSpan(0, 5);
+      rangeList.insertGap(100, 10);
+      rangeList.insertGap(5, 0);
+      rangeList.insertGap(5, -1);
+
+      expect(events).to.deep.equal([
+        { op: 'insertGap', from: 5, to: 40 },
+        { op: 'deleteSpan', from: 0, to: 40 },
+        { op: 'insertGap', from: 100, to: 110 },
+      ]);
+      rangeList.undo();
+      rangeList.undo();
+      rangeList.undo();
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [15, 3],
+        [20, 2],
+        [30, 0],
+      ]);
+      expect(() => new RangeList([], { strict: true }).insertGap(0, NaN)).to.throw(InvalidRangeError);
+      expect(() => new RangeList([], { order: stringOrder }).deleteSpan('a', 'b')).to.throw(RangeListError);
+    });
+  });
+
+  describe('history and snapshots', () => {
+    beforeEach(() => {
+      rangeList = new RangeList([], { historyLimit: 10 });
+    });
+
+    it('should undo and redo adds and sets', () => {
+      rangeList.add(10, 20, 1);
+      rangeList.set(15, 30, 5);
+      rangeList.add(0, 100, 2);
+
+      expect(rangeList.undo()).to.be.true;
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [15, 5],
         [30, 0],
       ]);
+      expect(rangeList.undo()).to.be.true;
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [20, 0],
+      ]);
+
+      expect(rangeList.redo()).to.be.true;
+      expect(rangeList.redo()).to.be.true;
+      expect(rangeList.redo()).to.be.false;
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 2],
+        [10, 3],
+        [15, 7],
+        [30, 2],
+        [100, 0],
+      ]);
+    });
+
+    it('should record the operation log and drop redo after a new change', () => {
+      rangeList.add(0, 10, 1);
+      rangeList.applyBatch([{ op: 'set', from: 5, to: 15, amount: 3 }]);
+      rangeList.add(0, 10, 0);
+      rangeList.add(10, 5, 1);
+
+      expect(rangeList.history()).to.deep.equal([
+        { op: 'add', from: 0, to: 10, amount: 1 },
+        { op: 'batch', operations: [{ op: 'set', from: 5, to: 15, amount: 3 }] },
+      ]);
+
+      rangeList.undo();
+      rangeList.add(20, 30, 4);
+      expect(rangeList.redo()).to.be.false;
+      expect(rangeList.history().map(({ op }) => op)).to.deep.equal(['add', 'add']);
+    });
+
+    it('should keep at most historyLimit changes', () => {
+      rangeList = new RangeList([], { historyLimit: 2 });
+      for (let i = 0; i < 5; i++) rangeList.add(i, i + 1, 1);
+
+      expect(rangeList.undo()).to.be.true;
+      expect(rangeList.undo()).to.be.true;
+      expect(rangeList.undo()).to.be.false;
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 1],
+        [3, 0],
+      ]);
+    });
+
+    it('should not record history by default', () => {
+      rangeList = new RangeList();
+      rangeList.add(0, 10, 1);
+      expect(rangeList.undo()).to.be.false;
+      expect(rangeList.history()).to.deep.equal([]);
+    });
+
+    it('should take independent snapshots and restore them', () => {
+      rangeList.add(0, 100, 1);
+      const snapshot = rangeList.snapshot();
+
+      rangeList.add(50, 150, 2);
+      snapshot.set(0, 10, 9);
+      expect(rangeList.toArray()).to.deep.equal([
+        [0, 1],
+        [50, 3],
+        [100, 2],
+        [150, 0],
+      ]);
+      expect(snapshot.toArray()).to.deep.equal([
+        [0, 9],
+        [10, 1],
+        [100, 0],
+      ]);
+
+      rangeList.restore(snapshot);
+      expect(rangeList.toArray()).to.deep.equal(snapshot.toArray());
+      rangeList.add(0, 10, 1);
+      expect(snapshot.get(5)).to.equal(9);
+
+      rangeList.undo();
+      rangeList.undo();
+      expect(rangeList.get(75)).to.equal(3);
+      expect(() => rangeList.restore([])).to.throw(RangeListError);
+      expect(() => rangeList.restore(new RangeList([], { order: bigintOrder }))).to.throw(RangeListError, 'same order');
+      expect(() => rangeList.restore(new RangeList([], { algebra: bitmaskAlgebra }))).to.throw(RangeListError);
+      expect(() => rangeList.restore(new RangeList([], { domain: 'integer' }))).to.throw(RangeListError, 'same domain');
+      expect(() => rangeList.restore(new RangeList([], { base: 1 }))).to.throw(RangeListError, 'same base');
+      rangeList.restore(new RangeList([[0, 1]]));
+      expect(rangeList.toArray()).to.deep.equal([[0, 1]]);
+    });
+  });
+
+  describe('change events', () => {
+    let events;
+
+    beforeEach(() => {
+      events = [];
+      rangeList = new RangeList([], { historyLimit: 10 }).on('change', (event) => events.push(event));
+    });
+
+    it('should report the segments before and after an add', () => {
+      rangeList.add(10, 20, 1);
+      rangeList.add(15, 30, 2);
+
+      expect(events).to.have.length(2);
+      expect(events[1]).to.deep.equal({
+        operation: { op: 'add', from: 15, to: 30, amount: 2 },
+        from: 15,
+        to: 30,
+        before: [
+          { from: 15, to: 20, intensity: 1 },
+          { from: 20, to: 30, intensity: 0 },
+        ],
+        after: [
+          { from: 15, to: 20, intensity: 3 },
+          { from: 20, to: 30, intensity: 2 },
+        ],
+      });
+    });
+
+    it('should report sets and batches over the range they cover', () => {
+      rangeList.add(0, 100, 1);
+      rangeList.set(40, 60, 5);
+      rangeList.applyBatch([
+        { op: 'add', from: 50, to: 70, amount: 1 },
+        { op: 'add', from: 90, to: 120, amount: 1 },
+      ]);
+
+      expect(events[1].after).to.deep.equal([{ from: 40, to: 60, intensity: 5 }]);
+      expect(events[2]).to.include({ from: 50, to: 120 });
+      expect(events[2].after).to.deep.equal([
+        { from: 50, to: 60, intensity: 6 },
+        { from: 60, to: 70, intensity: 2 },
+        { from: 70, to: 90, intensity: 1 },
+        { from: 90, to: 100, intensity: 2 },
+        { from: 100, to: 120, intensity: 1 },
+      ]);
+    });
+
+    it('should report undo, redo and restore', () => {
+      rangeList.add(10, 20, 1);
+      const snapshot = rangeList.snapshot();
+      rangeList.add(30, 40, 1);
+      rangeList.undo();
+      rangeList.redo();
+      rangeList.restore(snapshot);
+
+      expect(events.map(({ operation }) => operation.op)).to.deep.equal(['add', 'add', 'undo', 'redo', 'restore']);
+      expect(events[2]).to.deep.include({
+        operation: { op: 'undo', operation: { op: 'add', from: 30, to: 40, amount: 1 } },
+        before: [{ from: 30, to: 40, intensity: 1 }],
+        after: [{ from: 30, to: 40, intensity: 0 }],
+      });
+      expect(events[4]).to.include({ from: 10, to: 40 });
+      expect(events[4].after).to.deep.equal([
+        { from: 10, to: 20, intensity: 1 },
+        { from: 20, to: 40, intensity: 0 },
+      ]);
+    });
+
+    it('should not report ignored calls and stop after off', () => {
+      const listener = () => {
+        throw new Error('should not be called');
+      };
+      rangeList.on('change', listener).off('change', listener);
+      rangeList.add(10, 10, 1);
+      rangeList.add(0, 10, 0);
+      rangeList.add(10, 0, 1);
+      expect(rangeList.undo()).to.be.false;
+
+      expect(events).to.deep.equal([]);
+      expect(() => rangeList.on('update', listener)).to.throw(RangeListError, 'Unknown event: update');
+      expect(() => rangeList.on('toString', listener)).to.throw(RangeListError, 'Unknown event: toString');
     });
   });
 
@@ -174,7 +1841,7 @@ describe('RangeList', () => {
     });
   });
 
-  describe('_cleanupRedundantPoints', () => {
+  describe('redundant point cleanup', () => {
     it('should remove redundant points', () => {
       // Directly manipulate the tree to create redundant points
       rangeList.add(10, 30, 1);
@@ -198,5 +1865,27 @@ describe('RangeList', () => {
         [40, 0],
       ]);
     });
+
+    it('should remove redundant boundaries left by set', () => {
+      rangeList.add(10, 20, 1);
+      rangeList.add(30, 40, 1);
+      rangeList.set(20, 30, 1);
+      rangeList.set(40, 50, 0);
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [10, 1],
+        [40, 0],
+      ]);
+    });
+
+    it('should drop a leading point that sets the base intensity', () => {
+      rangeList.add(10, 30, 1);
+      rangeList.set(0, 20, 0);
+
+      expect(rangeList.toArray()).to.deep.equal([
+        [20, 1],
+        [30, 0],
+      ]);
+    });
   });
 });
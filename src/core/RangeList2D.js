@@ -0,0 +1,153 @@
+import { RangeList } from './RangeList.js';
+import { numericAlgebra } from './algebras.js';
+
+/**
+ * RangeList2D - Manages intensity values across rectangles, e.g. time × floor area
+ *
+ * Composes two RangeLists: a list over x whose intensities are themselves range lists over
+ * y, each holding the intensity along one vertical slab [x_i, x_i+1). The y lists are
+ * immutable values combined by an algebra of their own (see createSlabAlgebra), so adding a
+ * rectangle is a 1D add of a y strip to an x range and reuses the lazy range updates and
+ * redundant point cleanup of the 1D implementation.
+ *
+ * Ranges are half-open [x1, x2) × [y1, y2), or inclusive on an axis in the 'integer' domain.
+ */
+export class RangeList2D {
+  /**
+   * @param {Array} [breakpoints] - Initial [x, yBreakpoints] pairs, as produced by toArray()
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Throw on invalid add/set arguments instead of ignoring them
+   * @param {Object} [options.algebra] - Value algebra for intensities (default numericAlgebra)
+   * @param {Object} [options.x] - {order, domain} options of the x axis, as for RangeList
+   * @param {Object} [options.y] - {order, domain} options of the y axis, as for RangeList
+   */
+  constructor(breakpoints = [], options = {}) {
+    const { strict = false, algebra = numericAlgebra, x = {}, y = {} } = options;
+    this.options = { strict, algebra, x, y };
+    this._yOptions = { ...y, strict, algebra };
+
+    const slabAlgebra = createSlabAlgebra(this._yOptions);
+    const slabs = Array.isArray(breakpoints)
+      ? breakpoints.map((breakpoint) =>
+          Array.isArray(breakpoint) ? [breakpoint[0], this._createSlab(breakpoint[1])] : breakpoint,
+        )
+      : breakpoints;
+    this._xList = new RangeList(slabs, { ...x, strict, algebra: slabAlgebra });
+  }
+
+  /**
+   * Add intensity to a rectangle
+   * @param {*} x1 - Start of the x range (inclusive)
+   * @param {*} x2 - End of the x range (exclusive)
+   * @param {*} y1 - Start of the y range (inclusive)
+   * @param {*} y2 - End of the y range (exclusive)
+   * @param {*} amount - Intensity amount to add
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  add(x1, x2, y1, y2, amount) {
+    const strip = new RangeList([], this._yOptions);
+    strip.add(y1, y2, amount);
+    this._xList.add(x1, x2, strip);
+  }
+
+  /**
+   * Set intensity for a rectangle, leaving the rest of each slab unchanged
+   * @param {*} x1 - Start of the x range (inclusive)
+   * @param {*} x2 - End of the x range (exclusive)
+   * @param {*} y1 - Start of the y range (inclusive)
+   * @param {*} y2 - End of the y range (exclusive)
+   * @param {*} amount - Intensity amount to set
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  set(x1, x2, y1, y2, amount) {
+    // Validate the y range and amount once, before touching any slab
+    new RangeList([], this._yOptions).set(y1, y2, amount);
+
+    // Collect the slabs first: setting them changes the breakpoints being iterated
+    const slabs = [...this._xList.segments(x1, x2)];
+    if (slabs.length === 0) {
+      // The x range is invalid or empty: let the x list throw or ignore it
+      this._xList.set(x1, x2, new RangeList([], this._yOptions));
+      return;
+    }
+    for (const { from, to, intensity } of slabs) {
+      const slab = new RangeList(intensity.toArray(), this._yOptions);
+      slab.set(y1, y2, amount);
+      this._xList.set(from, to, slab);
+    }
+  }
+
+  /**
+   * Get intensity at a point
+   * @param {*} x - The x position
+   * @param {*} y - The y position
+   * @returns {*} - The intensity at that point
+   */
+  get(x, y) {
+    return this._xList.get(x).get(y);
+  }
+
+  /**
+   * Decompose the intensity into disjoint rectangles, one per y segment of every x slab
+   *
+   * Rectangles with the algebra's identity as intensity are left out.
+   * @returns {Array} - Array of {x1, x2, y1, y2, intensity} objects ordered by x1, then y1
+   */
+  toRectangles() {
+    const { algebra } = this.options;
+    const rectangles = [];
+    for (const { from: x1, to: x2, intensity: slab } of this._xList.segments()) {
+      for (const { from: y1, to: y2, intensity } of slab.segments()) {
+        if (!algebra.equals(intensity, algebra.identity)) rectangles.push({ x1, x2, y1, y2, intensity });
+      }
+    }
+    return rectangles;
+  }
+
+  /**
+   * Get the x breakpoints with the y breakpoints of the slab starting at each
+   * @returns {Array} - Array of [x, yBreakpoints] pairs
+   */
+  toArray() {
+    return this._xList.toArray().map(([x, slab]) => [x, slab.toArray()]);
+  }
+
+  /**
+   * Create the y range list of a slab from its breakpoints
+   * @param {Array} breakpoints - [y, intensity] pairs
+   * @returns {RangeList|Array} - The range list, or the breakpoints unchanged if they are not an
+   *   array, for the x list to report as invalid
+   * @private
+   */
+  _createSlab(breakpoints) {
+    return Array.isArray(breakpoints) ? new RangeList(breakpoints, this._yOptions) : breakpoints;
+  }
+}
+
+/**
+ * Create the algebra of slabs: immutable y range lists, added position by position
+ * @param {Object} yOptions - The options of every slab
+ * @returns {Object} - The algebra
+ */
+function createSlabAlgebra(yOptions) {
+  const { algebra } = yOptions;
+  const compare = (yOptions.order && yOptions.order.compare) || ((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const identity = new RangeList([], yOptions);
+
+  return {
+    identity,
+    combine: (a, b) => RangeList.combine(a, b, algebra.combine),
+    equals: (a, b) => {
+      if (a === b) return true;
+      const [breakpointsA, breakpointsB] = [a.toArray(), b.toArray()];
+      return (
+        breakpointsA.length === breakpointsB.length &&
+        breakpointsA.every(
+          ([position, intensity], i) =>
+            compare(position, breakpointsB[i][0]) === 0 && algebra.equals(intensity, breakpointsB[i][1]),
+        )
+      );
+    },
+    isValid: (value) => value instanceof RangeList,
+  };
+}
@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+import { RangeList } from './RangeList.js';
+import { RangeList2D } from './RangeList2D.js';
+import { setUnionAlgebra } from './algebras.js';
+import { InvalidAmountError, InvalidBreakpointsError, InvalidRangeError } from './RangeListError.js';
+
+describe('RangeList2D', () => {
+  let rangeList;
+
+  beforeEach(() => {
+    rangeList = new RangeList2D();
+  });
+
+  describe('add', () => {
+    it('should add intensity to overlapping rectangles', () => {
+      rangeList.add(0, 10, 0, 10, 1);
+      rangeList.add(5, 15, 5, 15, 2);
+      expect(rangeList.toArray()).to.deep.equal([
+        [
+          0,
+          [
+            [0, 1],
+            [10, 0],
+          ],
+        ],
+        [
+          5,
+          [
+            [0, 1],
+            [5, 3],
+            [10, 2],
+            [15, 0],
+          ],
+        ],
+        [
+          10,
+          [
+            [5, 2],
+            [15, 0],
+          ],
+        ],
+        [15, []],
+      ]);
+      expect(rangeList.get(7, 7)).to.equal(3);
+      expect(rangeList.get(2, 7)).to.equal(1);
+      expect(rangeList.get(12, 2)).to.equal(0);
+      expect(rangeList.get(-1, -1)).to.equal(0);
+    });
+
+    it('should merge slabs that become equal, like the 1D list merges segments', () => {
+      rangeList.add(0, 10, 0, 10, 1);
+      rangeList.add(10, 20, 0, 10, 1);
+      expect(rangeList.toArray()).to.deep.equal([
+        [
+          0,
+          [
+            [0, 1],
+            [10, 0],
+          ],
+        ],
+        [20, []],
+      ]);
+
+      rangeList.add(0, 20, 0, 10, -1);
+      expect(rangeList.toArray()).to.deep.equal([]);
+    });
+
+    it('should ignore invalid or empty rectangles unless strict', () => {
+      rangeList.add(10, 0, 0, 10, 1);
+      rangeList.add(0, 10, 10, 0, 1);
+      rangeList.add(0, 10, 0, 0, 1);
+      rangeList.add(0, 10, 0, 10, NaN);
+      expect(rangeList.toArray()).to.deep.equal([]);
+
+      const strict = new RangeList2D([], { strict: true });
+      expect(() => strict.add(10, 0, 0, 10, 1)).to.throw(InvalidRangeError);
+      expect(() => strict.add(0, 10, 10, 0, 1)).to.throw(InvalidRangeError);
+      expect(() => strict.add(0, 10, 0, 10, 'x')).to.throw(InvalidAmountError);
+      expect(() => strict.set(10, 0, 0, 10, 1)).to.throw(InvalidRangeError);
+      expect(() => strict.set(0, 10, 10, 0, 1)).to.throw(InvalidRangeError);
+      expect(strict.toArray()).to.deep.equal([]);
+    });
+  });
+
+  describe('set', () => {
+    it('should set a rectangle and leave the rest of each slab unchanged', () => {
+      rangeList.add(0, 10, 0, 10, 1);
+      rangeList.add(5, 15, 5, 15, 2);
+      rangeList.set(0, 20, 8, 9, 0);
+      expect(rangeList.toRectangles()).to.deep.equal([
+        { x1: 0, x2: 5, y1: 0, y2: 8, intensity: 1 },
+        { x1: 0, x2: 5, y1: 9, y2: 10, intensity: 1 },
+        { x1: 5, x2: 10, y1: 0, y2: 5, intensity: 1 },
+        { x1: 5, x2: 10, y1: 5, y2: 8, intensity: 3 },
+        { x1: 5, x2: 10, y1: 9, y2: 10, intensity: 3 },
+        { x1: 5, x2: 10, y1: 10, y2: 15, intensity: 2 },
+        { x1: 10, x2: 15, y1: 5, y2: 8, intensity: 2 },
+        { x1: 10, x2: 15, y1: 9, y2: 15, intensity: 2 },
+      ]);
+    });
+
+    it('should set a rectangle outside of any breakpoint', () => {
+      rangeList.set(0, 10, 0, 10, 4);
+      rangeList.set(2, 4, 2, 4, 4);
+      expect(rangeList.toRectangles()).to.deep.equal([{ x1: 0, x2: 10, y1: 0, y2: 10, intensity: 4 }]);
+      expect(rangeList.get(5, 5)).to.equal(4);
+    });
+  });
+
+  describe('toRectangles and toArray', () => {
+    it('should decompose into disjoint rectangles matching the point queries', () => {
+      const operations = [
+        ['add', 0, 8, 0, 8, 1],
+        ['add', 4, 12, 2, 6, 2],
+        ['set', 2, 6, 1, 3, 5],
+        ['add', 1, 9, 5, 11, -1],
+      ];
+      for (const [op, ...args] of operations) rangeList[op](...args);
+
+      const rectangles = rangeList.toRectangles();
+      for (let x = -1; x < 13; x += 0.5) {
+        for (let y = -1; y < 12; y += 0.5) {
+          const covering = rectangles.filter(({ x1, x2, y1, y2 }) => x1 <= x && x < x2 && y1 <= y && y < y2);
+          expect(covering.length).to.be.at.most(1);
+          expect(covering.length ? covering[0].intensity : 0, `(${x}, ${y})`).to.equal(rangeList.get(x, y));
+        }
+      }
+    });
+
+    it('should round-trip through the constructor and validate breakpoints', () => {
+      rangeList.add(0, 10, 0, 10, 1);
+      rangeList.add(5, 15, 5, 15, 2);
+      expect(new RangeList2D(rangeList.toArray()).toArray()).to.deep.equal(rangeList.toArray());
+
+      expect(
+        () =>
+          new RangeList2D([
+            [0, [[0, 1]]],
+            [5, [[0, 1]]],
+          ]),
+      ).to.throw(InvalidBreakpointsError);
+      expect(() => new RangeList2D([[0, 1]])).to.throw(InvalidBreakpointsError);
+      expect(
+        () =>
+          new RangeList2D([
+            [
+              0,
+              [
+                [1, 1],
+                [0, 0],
+              ],
+            ],
+          ]),
+      ).to.throw(InvalidBreakpointsError);
+    });
+  });
+
+  it('should support the options of both axes and other algebras', () => {
+    const grid = new RangeList2D([], { x: { domain: 'integer' }, y: { domain: 'integer' } });
+    grid.add(0, 1, 0, 1, 1);
+    grid.add(2, 2, 0, 1, 1);
+    grid.add(0, 2, 2, 3, 1);
+    expect(grid.toRectangles()).to.deep.equal([{ x1: 0, x2: 2, y1: 0, y2: 3, intensity: 1 }]);
+    expect(grid.get(1, 3)).to.equal(1);
+    expect(grid.get(2, 4)).to.equal(0);
+
+    const tenants = new RangeList2D([], { algebra: setUnionAlgebra });
+    tenants.add(0, 10, 0, 10, new Set(['a']));
+    tenants.add(5, 15, 0, 10, new Set(['b']));
+    expect([...tenants.get(7, 7)]).to.deep.equal(['a', 'b']);
+    expect(tenants.toRectangles().map(({ x1, intensity }) => [x1, [...intensity]])).to.deep.equal([
+      [0, ['a']],
+      [5, ['a', 'b']],
+      [10, ['b']],
+    ]);
+  });
+
+  it('should agree with a RangeList on every horizontal line', () => {
+    rangeList.add(0, 10, 0, 10, 1);
+    rangeList.set(3, 7, 2, 12, 2);
+    rangeList.add(5, 20, 5, 6, 3);
+
+    const line = new RangeList();
+    line.add(0, 10, 1);
+    line.set(3, 7, 2);
+    line.add(5, 20, 3);
+    for (let x = -1; x < 21; x++) expect(rangeList.get(x, 5)).to.equal(line.get(x));
+  });
+});
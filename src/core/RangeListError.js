@@ -0,0 +1,42 @@
+/**
+ * RangeListError - Base class for errors thrown by RangeList
+ */
+export class RangeListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * InvalidRangeError - A range boundary is not a valid position, or the range is reversed
+ */
+export class InvalidRangeError extends RangeListError {
+  /**
+   * @param {*} from - Start of the rejected range
+   * @param {*} to - End of the rejected range
+   */
+  constructor(from, to) {
+    super(`Invalid range [${String(from)}, ${String(to)})`);
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * InvalidAmountError - An intensity amount is not a finite number
+ */
+export class InvalidAmountError extends RangeListError {
+  /**
+   * @param {*} amount - The rejected amount
+   */
+  constructor(amount) {
+    super(`Invalid amount: ${String(amount)}`);
+    this.amount = amount;
+  }
+}
+
+/**
+ * InvalidBreakpointsError - Breakpoints passed to the constructor are malformed, unsorted or not normalized
+ */
+export class InvalidBreakpointsError extends RangeListError {}
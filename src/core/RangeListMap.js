@@ -0,0 +1,176 @@
+import { RangeList } from './RangeList.js';
+import { numericAlgebra } from './algebras.js';
+
+/**
+ * RangeListMap - Tracks intensity per label (room, machine, tenant...), one RangeList per label
+ *
+ * Every label's range list is created on first use with the same options, so labels share an
+ * algebra, order and domain and their intensities can be combined across labels.
+ */
+export class RangeListMap {
+  /**
+   * @param {Object} [options] - RangeList options for every label's range list
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this._lists = new Map();
+  }
+
+  /**
+   * Add intensity to a range of a label
+   * @param {*} label - The label
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to add
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  add(label, from, to, amount) {
+    this._getOrCreate(label).add(from, to, amount);
+  }
+
+  /**
+   * Set intensity for a range of a label
+   * @param {*} label - The label
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to set
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  set(label, from, to, amount) {
+    this._getOrCreate(label).set(from, to, amount);
+  }
+
+  /**
+   * Get the range list of a label, for any per-label query or change
+   * @param {*} label - The label
+   * @returns {RangeList|undefined} - The range list, or undefined if the label was never used
+   */
+  get(label) {
+    return this._lists.get(label);
+  }
+
+  /**
+   * Check whether a label has a range list
+   * @param {*} label - The label
+   * @returns {boolean} - Whether the label was used and not deleted
+   */
+  has(label) {
+    return this._lists.has(label);
+  }
+
+  /**
+   * Remove a label and its range list
+   * @param {*} label - The label
+   * @returns {boolean} - Whether the label existed
+   */
+  delete(label) {
+    return this._lists.delete(label);
+  }
+
+  /**
+   * Get the labels in order of first use
+   * @returns {Array} - The labels
+   */
+  labels() {
+    return [...this._lists.keys()];
+  }
+
+  /**
+   * The number of labels
+   * @returns {number} - The number of labels
+   */
+  get size() {
+    return this._lists.size;
+  }
+
+  /**
+   * Iterate over [label, rangeList] pairs in order of first use
+   * @returns {Iterator} - Iterator of [label, RangeList] pairs
+   */
+  [Symbol.iterator]() {
+    return this._lists.entries();
+  }
+
+  /**
+   * Get the intensity of a label at a position
+   * @param {*} label - The label
+   * @param {*} position - Position to check
+   * @returns {*} - The intensity, or the base intensity for an unknown label
+   */
+  intensityAt(label, position) {
+    const list = this._lists.get(label);
+    return list ? list.get(position) : this._base();
+  }
+
+  /**
+   * Get the intensity of all labels combined at a position
+   * @param {*} position - Position to check
+   * @returns {*} - The intensities combined with the algebra, its identity without labels
+   */
+  totalAt(position) {
+    const { combine, identity } = this._algebra();
+    let total = identity;
+    for (const list of this._lists.values()) total = combine(total, list.get(position));
+    return total;
+  }
+
+  /**
+   * Combine the intensities of all labels into a single range list
+   * @returns {RangeList} - A new range list holding the total intensity at every position
+   */
+  total() {
+    const { combine, identity } = this._algebra();
+    let total = new RangeList([], { ...this.options, base: identity });
+    for (const list of this._lists.values()) total = RangeList.combine(total, list, combine);
+    return total;
+  }
+
+  /**
+   * Find the labels whose intensity exceeds a level somewhere in a range
+   * @param {number} level - The level to exceed
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @returns {Array} - The labels, in order of first use
+   */
+  labelsAbove(level, from, to) {
+    const labels = [];
+    for (const [label, list] of this._lists) {
+      const max = list.max(from, to);
+      if (max !== null && max > level) labels.push(label);
+    }
+    return labels;
+  }
+
+  /**
+   * Get the range list of a label, creating it on first use
+   * @param {*} label - The label
+   * @returns {RangeList} - The range list
+   * @private
+   */
+  _getOrCreate(label) {
+    let list = this._lists.get(label);
+    if (!list) {
+      list = new RangeList([], this.options);
+      this._lists.set(label, list);
+    }
+    return list;
+  }
+
+  /**
+   * The algebra shared by all labels
+   * @returns {Object} - The algebra
+   * @private
+   */
+  _algebra() {
+    return this.options.algebra || numericAlgebra;
+  }
+
+  /**
+   * The intensity of a label outside of its breakpoints
+   * @returns {*} - The base intensity
+   * @private
+   */
+  _base() {
+    return 'base' in this.options ? this.options.base : this._algebra().identity;
+  }
+}
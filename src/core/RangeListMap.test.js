@@ -0,0 +1,107 @@
+import { expect } from 'chai';
+import { RangeList } from './RangeList.js';
+import { RangeListMap } from './RangeListMap.js';
+import { setUnionAlgebra } from './algebras.js';
+import { InvalidRangeError } from './RangeListError.js';
+
+describe('RangeListMap', () => {
+  let map;
+
+  beforeEach(() => {
+    map = new RangeListMap();
+    map.add('room-a', 10, 30, 1);
+    map.add('room-b', 20, 40, 2);
+    map.add('room-a', 20, 25, 1);
+    map.set('room-c', 0, 50, 1);
+  });
+
+  it('should keep one range list per label', () => {
+    expect(map.size).to.equal(3);
+    expect(map.labels()).to.deep.equal(['room-a', 'room-b', 'room-c']);
+    expect(map.get('room-a')).to.be.instanceOf(RangeList);
+    expect(map.get('room-a').toArray()).to.deep.equal([
+      [10, 1],
+      [20, 2],
+      [25, 1],
+      [30, 0],
+    ]);
+    expect(map.get('room-b').toArray()).to.deep.equal([
+      [20, 2],
+      [40, 0],
+    ]);
+    expect([...map].map(([label, list]) => [label, list.toArray().length])).to.deep.equal([
+      ['room-a', 4],
+      ['room-b', 2],
+      ['room-c', 2],
+    ]);
+  });
+
+  it('should answer per-label queries', () => {
+    expect(map.intensityAt('room-a', 22)).to.equal(2);
+    expect(map.intensityAt('room-b', 10)).to.equal(0);
+    expect(map.intensityAt('room-z', 10)).to.equal(0);
+    expect(map.get('room-z')).to.be.undefined;
+    expect(map.get('room-a').max(0, 100)).to.equal(2);
+  });
+
+  it('should total all labels at a position and everywhere', () => {
+    expect(map.totalAt(5)).to.equal(1);
+    expect(map.totalAt(22)).to.equal(5);
+    expect(map.totalAt(45)).to.equal(1);
+    expect(map.totalAt(60)).to.equal(0);
+    expect(map.total().toArray()).to.deep.equal([
+      [0, 1],
+      [10, 2],
+      [20, 5],
+      [25, 4],
+      [30, 3],
+      [40, 1],
+      [50, 0],
+    ]);
+    expect(new RangeListMap().totalAt(5)).to.equal(0);
+    expect(new RangeListMap().total().toArray()).to.deep.equal([]);
+  });
+
+  it('should find the labels exceeding a level in a range', () => {
+    expect(map.labelsAbove(1, 0, 50)).to.deep.equal(['room-a', 'room-b']);
+    expect(map.labelsAbove(1, 25, 30)).to.deep.equal(['room-b']);
+    expect(map.labelsAbove(0, 0, 10)).to.deep.equal(['room-c']);
+    expect(map.labelsAbove(0, 60, 70)).to.deep.equal([]);
+    expect(map.labelsAbove(0, 30, 30)).to.deep.equal([]);
+  });
+
+  it('should delete labels', () => {
+    expect(map.delete('room-b')).to.be.true;
+    expect(map.delete('room-b')).to.be.false;
+    expect(map.has('room-b')).to.be.false;
+    expect(map.totalAt(22)).to.equal(3);
+  });
+
+  it('should create every range list with the same options', () => {
+    const strict = new RangeListMap({ strict: true, domain: 'integer' });
+    strict.add(1, 1, 3, 1);
+    strict.add(2, 4, 5, 1);
+    expect(strict.total().toArray()).to.deep.equal([
+      [1, 1],
+      [6, 0],
+    ]);
+    expect(strict.labelsAbove(0, 5, 5)).to.deep.equal([2]);
+    expect(() => strict.add(1, 3, 1, 1)).to.throw(InvalidRangeError);
+
+    const tenants = new RangeListMap({ algebra: setUnionAlgebra });
+    tenants.add('machine-1', 0, 10, new Set(['t1']));
+    tenants.add('machine-2', 5, 15, new Set(['t2']));
+    expect([...tenants.totalAt(7)]).to.deep.equal(['t1', 't2']);
+    expect(
+      tenants
+        .total()
+        .toArray()
+        .map(([position, set]) => [position, [...set]]),
+    ).to.deep.equal([
+      [0, ['t1']],
+      [5, ['t1', 't2']],
+      [10, ['t2']],
+      [15, []],
+    ]);
+  });
+});
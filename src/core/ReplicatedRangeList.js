@@ -0,0 +1,236 @@
+import { RangeList } from './RangeList.js';
+import { RangeListError } from './RangeListError.js';
+
+/**
+ * ReplicatedRangeList - A RangeList that several replicas edit offline and merge later (a CRDT)
+ *
+ * Every add/set is stamped with (timestamp, replicaId) and appended to the log of the replica
+ * that made it. Merging takes the longer log of every replica, and the intensities are those
+ * of replaying all operations in stamp order on a RangeList. Since stamps are unique and
+ * totally ordered, every replica that has seen the same operations has the same intensities,
+ * whatever order it merged them in:
+ * - adds commute, so they count whenever they happened
+ * - sets are last-writer-wins per position: a later-stamped set overrides an earlier one,
+ *   and adds stamped before a set are overwritten by it
+ *
+ * Timestamps come from a Lamport clock, which runs ahead of every merged timestamp, so an
+ * operation is always stamped later than everything its replica has seen. With a single
+ * replica the operations replay in the order they were made, which is exactly RangeList.
+ */
+export class ReplicatedRangeList {
+  /**
+   * @param {string} replicaId - Unique id of this replica, breaking ties between equal timestamps
+   * @param {Object} [options] - Options as for the RangeList constructor, plus:
+   * @param {Function} [options.now] - () => number wall-clock time; timestamps are at least
+   *   now(), rounded down, so that sets made later in real time win (default Lamport timestamps only)
+   */
+  constructor(replicaId, options = {}) {
+    if (typeof replicaId !== 'string') throw new RangeListError('replicaId must be a string');
+    const { now = () => 0, ...listOptions } = options;
+    this.replicaId = replicaId;
+    this.options = listOptions;
+    this._now = now;
+    this._clock = 0;
+    this._logs = new Map([[replicaId, []]]);
+    this._list = this._createList();
+    this._latest = null;
+  }
+
+  /**
+   * Add intensity to a specific range
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to add
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  add(from, to, amount) {
+    this._local('add', from, to, amount);
+  }
+
+  /**
+   * Set intensity for a specific range, winning over earlier-stamped sets and adds
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount to set
+   * @throws {InvalidRangeError|InvalidAmountError} - In strict mode, if the arguments are invalid
+   */
+  set(from, to, amount) {
+    this._local('set', from, to, amount);
+  }
+
+  /**
+   * Merge the operations of another replica
+   *
+   * Merging is commutative, associative and idempotent. Operations stamped later than
+   * everything applied so far are applied directly; otherwise all operations are replayed.
+   * @param {ReplicatedRangeList|Object} other - Another replica, or its toJSON() state
+   * @throws {RangeListError} - If the state contains a malformed log or operation; nothing is merged then
+   */
+  merge(other) {
+    const replicas = other instanceof ReplicatedRangeList ? other._logs : this._parseReplicas(other);
+
+    // Collect everything before touching the logs, so a malformed state merges nothing
+    const pending = new Map();
+    for (const [replicaId, log] of replicas) {
+      const ownLog = this._logs.get(replicaId) || [];
+      if (log.length <= ownLog.length) continue;
+      // Replicas only append to their own logs, so the longer log extends the shorter one
+      pending.set(
+        replicaId,
+        log.slice(ownLog.length).map((operation) => validateOperation({ ...operation, replicaId })),
+      );
+    }
+    if (pending.size === 0) return;
+
+    for (const [replicaId, operations] of pending) {
+      this._logs.set(replicaId, [...(this._logs.get(replicaId) || []), ...operations]);
+    }
+    const received = [...pending.values()].flat();
+
+    received.sort(compareStamps);
+    this._clock = Math.max(this._clock, received[received.length - 1].timestamp);
+    if (this._latest && compareStamps(received[0], this._latest) < 0) {
+      this._replay();
+    } else {
+      received.forEach((operation) => this._apply(operation));
+    }
+  }
+
+  /**
+   * Get intensity at a specific position
+   * @param {*} position - Position to check
+   * @returns {*} - The intensity at that position
+   */
+  get(position) {
+    return this._list.get(position);
+  }
+
+  /**
+   * Get the current intensities as a plain RangeList, for any other query
+   * @returns {RangeList} - An independent snapshot
+   */
+  toRangeList() {
+    return this._list.snapshot();
+  }
+
+  /**
+   * Get the breakpoints of the current intensities
+   * @returns {Array} - Array of [position, intensity] pairs
+   */
+  toArray() {
+    return this._list.toArray();
+  }
+
+  /**
+   * Get the state to send to other replicas, which they can pass to merge()
+   * @returns {Object} - {replicas: {replicaId: [{timestamp, op, from, to, amount}, ...]}}
+   */
+  toJSON() {
+    const replicas = {};
+    for (const [replicaId, log] of this._logs) {
+      replicas[replicaId] = log.map(({ timestamp, op, from, to, amount }) => ({ timestamp, op, from, to, amount }));
+    }
+    return { replicas };
+  }
+
+  /**
+   * Read the logs of a toJSON() state, which may come from anywhere
+   * @param {Object} state - The state passed to merge()
+   * @returns {Map} - Logs by replica id
+   * @throws {RangeListError} - If the state is not an object of logs by replica id
+   * @private
+   */
+  _parseReplicas(state) {
+    if (!state || typeof state.replicas !== 'object' || state.replicas === null) {
+      throw new RangeListError('Replica state must have a replicas object');
+    }
+    const replicas = new Map(Object.entries(state.replicas));
+    for (const [replicaId, log] of replicas) {
+      if (!Array.isArray(log)) throw new RangeListError(`Log of replica ${replicaId} must be an array`);
+    }
+    return replicas;
+  }
+
+  /**
+   * Stamp, apply and log an operation made on this replica
+   * @param {string} op - 'add' or 'set'
+   * @param {*} from - Start of range (inclusive)
+   * @param {*} to - End of range (exclusive)
+   * @param {*} amount - Intensity amount
+   * @private
+   */
+  _local(op, from, to, amount) {
+    // Invalid operations replay as no-ops everywhere, so they only need rejecting in strict
+    // mode; an empty list checks the arguments without touching the intensities
+    if (this.options.strict) new RangeList([], this.options)[op](from, to, amount);
+
+    // Timestamps are integers, as merge() requires, even for a fractional clock such as performance.now()
+    this._clock = Math.max(this._clock + 1, Math.floor(this._now()));
+    const operation = { timestamp: this._clock, replicaId: this.replicaId, op, from, to, amount };
+    this._logs.get(this.replicaId).push(operation);
+    this._apply(operation);
+  }
+
+  /**
+   * Apply an operation stamped later than every applied one
+   * @param {Object} operation - The stamped operation
+   * @private
+   */
+  _apply(operation) {
+    const { op, from, to, amount } = operation;
+    if (op === 'set') this._list.set(from, to, amount);
+    else this._list.add(from, to, amount);
+    this._latest = operation;
+  }
+
+  /**
+   * Rebuild the intensities by replaying every operation in stamp order
+   *
+   * Operations are applied one at a time, as they are incrementally, so that a replay gives
+   * exactly the same intensities, down to floating point rounding.
+   * @private
+   */
+  _replay() {
+    const operations = [...this._logs.values()].flat().sort(compareStamps);
+    this._list = this._createList();
+    this._latest = null;
+    operations.forEach((operation) => this._apply(operation));
+  }
+
+  /**
+   * Create the range list operations are replayed on
+   * @returns {RangeList} - An empty, non-strict range list
+   * @private
+   */
+  _createList() {
+    return new RangeList([], { ...this.options, strict: false, historyLimit: 0 });
+  }
+}
+
+/**
+ * Order operations by (timestamp, replicaId)
+ * @param {Object} a - The first operation
+ * @param {Object} b - The second operation
+ * @returns {number} - Negative if a was stamped first, positive if b was, zero if they are the same
+ */
+function compareStamps(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+  return a.replicaId < b.replicaId ? -1 : a.replicaId > b.replicaId ? 1 : 0;
+}
+
+/**
+ * Check that a received operation can be logged and replayed
+ * @param {Object} operation - The operation, with the id of the replica that made it
+ * @returns {Object} - The same operation
+ * @throws {RangeListError} - If the operation, its timestamp or its replica id is malformed
+ */
+function validateOperation(operation) {
+  const { op, timestamp, replicaId } = operation;
+  if (op !== 'add' && op !== 'set') throw new RangeListError(`Unknown operation: ${String(op)}`);
+  // Beyond safe integers the Lamport clock could no longer advance past a received timestamp
+  if (!Number.isSafeInteger(timestamp)) {
+    throw new RangeListError(`Invalid timestamp: ${String(timestamp)}`);
+  }
+  if (typeof replicaId !== 'string') throw new RangeListError(`Invalid replica id: ${String(replicaId)}`);
+  return operation;
+}
@@ -0,0 +1,202 @@
+import { expect } from 'chai';
+import { RangeList } from './RangeList.js';
+import { ReplicatedRangeList } from './ReplicatedRangeList.js';
+import { InvalidRangeError, RangeListError } from './RangeListError.js';
+
+describe('ReplicatedRangeList', () => {
+  // A small deterministic generator keeps failures reproducible
+  let seed;
+  const random = (n) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % n;
+  };
+  const randomOperation = () => {
+    const from = random(40);
+    return [random(3) ? 'add' : 'set', from, from + 1 + random(15), random(5) - 1];
+  };
+
+  beforeEach(() => {
+    seed = 7;
+  });
+
+  it('should behave exactly like a RangeList with a single replica', () => {
+    const replica = new ReplicatedRangeList('a');
+    const rangeList = new RangeList();
+    for (let i = 0; i < 300; i++) {
+      const [op, from, to, amount] = randomOperation();
+      replica[op](from, to, amount / 10);
+      rangeList[op](from, to, amount / 10);
+    }
+    expect(replica.toArray()).to.deep.equal(rangeList.toArray());
+    expect(replica.get(20)).to.equal(rangeList.get(20));
+  });
+
+  it('should count concurrent adds from every replica', () => {
+    const a = new ReplicatedRangeList('a');
+    const b = new ReplicatedRangeList('b');
+    a.add(0, 10, 1);
+    b.add(5, 15, 2);
+    a.merge(b);
+    b.merge(a);
+    expect(a.toArray()).to.deep.equal([
+      [0, 1],
+      [5, 3],
+      [10, 2],
+      [15, 0],
+    ]);
+    expect(b.toArray()).to.deep.equal(a.toArray());
+  });
+
+  it('should let the later-stamped set win, breaking timestamp ties by replica id', () => {
+    const a = new ReplicatedRangeList('a');
+    const b = new ReplicatedRangeList('b');
+    a.set(0, 10, 1);
+    b.set(5, 15, 2);
+    a.merge(b);
+    expect(a.toArray()).to.deep.equal([
+      [0, 1],
+      [5, 2],
+      [15, 0],
+    ]);
+
+    // a has now seen b's set, so its next set is stamped later
+    a.set(8, 12, 7);
+    b.merge(a);
+    expect(b.toArray()).to.deep.equal([
+      [0, 1],
+      [5, 2],
+      [8, 7],
+      [12, 2],
+      [15, 0],
+    ]);
+  });
+
+  it('should overwrite adds stamped before a set, and keep adds stamped after it', () => {
+    const a = new ReplicatedRangeList('a');
+    const b = new ReplicatedRangeList('b');
+    a.add(0, 10, 1);
+    a.add(0, 10, 1);
+    b.add(0, 10, 5);
+    b.set(0, 10, 0);
+    a.merge(b);
+    // b's set is stamped 2, after a's first add (1, 'a') and tied with its second (2, 'a')
+    expect(a.get(5)).to.equal(0);
+
+    a.add(0, 10, 1);
+    expect(a.get(5)).to.equal(1);
+  });
+
+  it('should use wall-clock timestamps when given a clock', () => {
+    let time = 100;
+    const a = new ReplicatedRangeList('a', { now: () => time });
+    const b = new ReplicatedRangeList('b', { now: () => time });
+    for (let i = 0; i < 5; i++) a.set(0, 10, i);
+    time = 200;
+    b.set(0, 10, 9);
+    time = 150;
+    a.set(0, 10, 4);
+
+    a.merge(b);
+    expect(a.get(5)).to.equal(9);
+
+    time = 300.75;
+    b.set(0, 10, 1);
+    expect(b.toJSON().replicas.b[1].timestamp).to.equal(300);
+    a.merge(b.toJSON());
+    expect(a.get(5)).to.equal(1);
+  });
+
+  it('should converge regardless of merge order', () => {
+    for (let round = 0; round < 20; round++) {
+      const replicas = ['a', 'b', 'c'].map((id) => new ReplicatedRangeList(id));
+      for (let step = 0; step < 30; step++) {
+        const replica = replicas[random(3)];
+        if (random(5) === 0) {
+          replica.merge(replicas[random(3)]);
+        } else {
+          const [op, from, to, amount] = randomOperation();
+          replica[op](from, to, amount);
+        }
+      }
+
+      const [a, b, c] = replicas;
+      const forward = new ReplicatedRangeList('x');
+      [a, b, c].forEach((replica) => forward.merge(replica));
+      const backward = new ReplicatedRangeList('y');
+      [c, b, a].forEach((replica) => backward.merge(replica));
+      a.merge(c);
+      c.merge(b);
+      c.merge(a);
+      a.merge(b);
+      b.merge(c);
+
+      for (const replica of [backward, a, b, c]) expect(replica.toArray()).to.deep.equal(forward.toArray());
+    }
+  });
+
+  it('should merge idempotently, including from serialized state', () => {
+    const a = new ReplicatedRangeList('a');
+    const b = new ReplicatedRangeList('b');
+    a.add(0, 10, 1);
+    b.set(5, 15, 2);
+    b.add(0, 20, 1);
+
+    const state = JSON.parse(JSON.stringify(b));
+    expect(state.replicas.b).to.have.length(2);
+    a.merge(state);
+    const merged = a.toArray();
+    a.merge(state);
+    a.merge(b);
+    expect(a.toArray()).to.deep.equal(merged);
+
+    b.merge(a);
+    expect(b.toArray()).to.deep.equal(merged);
+    expect(b.toRangeList()).to.be.instanceOf(RangeList);
+    expect(b.toRangeList().toArray()).to.deep.equal(merged);
+  });
+
+  it('should reject invalid operations in strict mode and replay them as no-ops otherwise', () => {
+    const strict = new ReplicatedRangeList('a', { strict: true });
+    expect(() => strict.add(10, 0, 1)).to.throw(InvalidRangeError);
+    expect(strict.toJSON().replicas.a).to.have.length(0);
+
+    const lenient = new ReplicatedRangeList('b');
+    lenient.add(10, 0, 1);
+    lenient.add(0, 10, 1);
+    strict.merge(lenient);
+    expect(strict.toArray()).to.deep.equal([
+      [0, 1],
+      [10, 0],
+    ]);
+
+    expect(() => new ReplicatedRangeList(1)).to.throw(RangeListError, 'replicaId must be a string');
+  });
+
+  it('should reject malformed received state without merging any of it', () => {
+    const replica = new ReplicatedRangeList('a');
+    replica.add(0, 10, 1);
+    const valid = { timestamp: 5, op: 'add', from: 0, to: 5, amount: 1 };
+
+    for (const operation of [
+      { ...valid, op: 'clip' },
+      { ...valid, op: 'nope' },
+      { ...valid, timestamp: 'soon' },
+      { ...valid, timestamp: NaN },
+      { ...valid, timestamp: 1e308 },
+      { ...valid, timestamp: 2 ** 53 },
+      { ...valid, timestamp: 5.5 },
+    ]) {
+      expect(() => replica.merge({ replicas: { b: [valid], c: [operation] } })).to.throw(RangeListError);
+    }
+    expect(() => replica.merge({})).to.throw(RangeListError);
+    expect(() => replica.merge({ replicas: { b: valid } })).to.throw(RangeListError);
+
+    expect(Object.keys(replica.toJSON().replicas)).to.deep.equal(['a']);
+    replica.merge({ replicas: { b: [valid] } });
+    expect(replica.toArray()).to.deep.equal([
+      [0, 2],
+      [5, 1],
+      [10, 0],
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * SegmentTree - Sums over a fixed number of slots, recomputed from the slot values
+ *
+ * Slots hold numbers by default. Any commutative monoid works: pass its identity and combine
+ * functions. Every sum is combined from the current slot values, so a slot reset to the
+ * identity leaves no rounding error behind in the sums that covered it.
+ */
+export class SegmentTree {
+  /**
+   * @param {number} size - Number of slots, indexed from 0
+   * @param {Object} [monoid]
+   * @param {*} [monoid.identity] - The empty sum (default 0)
+   * @param {Function} [monoid.combine] - Associative, commutative (a, b) => sum (default +)
+   */
+  constructor(size, { identity = 0, combine = (a, b) => a + b } = {}) {
+    this.size = size;
+    this.identity = identity;
+    this.combine = combine;
+    // Leaves are stored at [size, 2 * size), and node i sums nodes 2i and 2i + 1
+    this.nodes = new Array(2 * size).fill(identity);
+  }
+
+  /**
+   * Set the value of a slot
+   * @param {number} index - The slot index
+   * @param {*} value - The new value
+   */
+  set(index, value) {
+    let i = index + this.size;
+    this.nodes[i] = value;
+    for (i >>= 1; i > 0; i >>= 1) {
+      this.nodes[i] = this.combine(this.nodes[2 * i], this.nodes[2 * i + 1]);
+    }
+  }
+
+  /**
+   * Get the sum of all slots from an index onwards
+   * @param {number} index - The inclusive lower bound
+   * @returns {*} - The sum of slots [index, size)
+   */
+  suffixSum(index) {
+    let sum = this.identity;
+    for (let left = index + this.size, right = 2 * this.size; left < right; left >>= 1, right >>= 1) {
+      if (left & 1) sum = this.combine(sum, this.nodes[left++]);
+      if (right & 1) sum = this.combine(sum, this.nodes[--right]);
+    }
+    return sum;
+  }
+}
@@ -0,0 +1,56 @@
+import { expect } from 'chai';
+import { SegmentTree } from './SegmentTree.js';
+
+describe('SegmentTree', () => {
+  let tree;
+
+  beforeEach(() => {
+    tree = new SegmentTree(8);
+  });
+
+  it('should start with all slots at zero', () => {
+    expect(tree.suffixSum(0)).to.equal(0);
+    expect(tree.suffixSum(8)).to.equal(0);
+  });
+
+  it('should compute suffix sums', () => {
+    [3, 1, 4, 1, 5, 9, 2, 6].forEach((value, index) => tree.set(index, value));
+
+    expect(tree.suffixSum(0)).to.equal(31);
+    expect(tree.suffixSum(3)).to.equal(23);
+    expect(tree.suffixSum(5)).to.equal(17);
+    expect(tree.suffixSum(8)).to.equal(0);
+  });
+
+  it('should replace the value of a slot', () => {
+    tree.set(2, 5);
+    tree.set(2, 3);
+    expect(tree.suffixSum(0)).to.equal(3);
+  });
+
+  it('should leave no rounding error behind when slots are reset', () => {
+    tree.set(0, 0.1);
+    tree.set(1, 0.2);
+    tree.set(2, 0.7);
+    tree.set(0, 0);
+    tree.set(2, 0);
+    expect(tree.suffixSum(0)).to.equal(0.2);
+
+    tree.set(1, 0);
+    expect(tree.suffixSum(0)).to.equal(0);
+  });
+
+  it('should sum values of a custom commutative monoid', () => {
+    tree = new SegmentTree(5, {
+      identity: [0, 0],
+      combine: (a, b) => [a[0] + b[0], a[1] + b[1]],
+    });
+    tree.set(0, [1, 10]);
+    tree.set(2, [2, 20]);
+    tree.set(3, [4, 40]);
+
+    expect(tree.suffixSum(0)).to.deep.equal([7, 70]);
+    expect(tree.suffixSum(1)).to.deep.equal([6, 60]);
+    expect(tree.suffixSum(3)).to.deep.equal([4, 40]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Value algebras for RangeList intensities
+ *
+ * An algebra describes what intensities are and how amounts combine with them:
+ * - identity: the amount that changes nothing, and the default base intensity
+ * - combine(intensity, amount): associative and commutative
+ * - equals(a, b): whether two intensities are the same, for removing redundant breakpoints
+ * - isValid(value) (optional): whether a value is an acceptable amount or intensity
+ * - numeric (optional): intensities are numbers added with +, which enables min/max/sum
+ *   and the binary encoding
+ */
+
+/**
+ * Numbers added together, the default
+ */
+export const numericAlgebra = {
+  identity: 0,
+  combine: (a, b) => a + b,
+  equals: (a, b) => a === b,
+  isValid: Number.isFinite,
+  numeric: true,
+};
+
+/**
+ * Sets of members (e.g. tenant IDs); adding a set adds its members
+ */
+export const setUnionAlgebra = {
+  identity: new Set(),
+  combine: (a, b) => (b.size === 0 ? a : new Set([...a, ...b])),
+  equals: (a, b) => a.size === b.size && [...a].every((member) => b.has(member)),
+  isValid: (value) => value instanceof Set,
+};
+
+/**
+ * Integer bitmasks (e.g. feature flags); adding a mask turns its bits on
+ */
+export const bitmaskAlgebra = {
+  identity: 0,
+  combine: (a, b) => a | b,
+  equals: (a, b) => a === b,
+  isValid: Number.isInteger,
+};
+
+/**
+ * Create an algebra for fixed-length numeric vectors (e.g. cpu and memory), added element-wise
+ * @param {number} dimensions - The vector length
+ * @returns {Object} - The algebra
+ */
+export function createVectorAlgebra(dimensions) {
+  return {
+    identity: Object.freeze(new Array(dimensions).fill(0)),
+    combine: (a, b) => a.map((value, i) => value + b[i]),
+    equals: (a, b) => a.every((value, i) => value === b[i]),
+    isValid: (value) => Array.isArray(value) && value.length === dimensions && value.every(Number.isFinite),
+  };
+}
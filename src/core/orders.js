@@ -0,0 +1,76 @@
+import { RangeListError } from './RangeListError.js';
+
+/**
+ * Position orders for RangeList
+ *
+ * An order describes what positions are:
+ * - compare(a, b): negative, zero or positive number ordering two positions
+ * - distance(a, b) (optional): the length from position a to a later position b, as a number;
+ *   needed for sum() and findNearest
+ * - advance(position, length) (optional): the position `length` after a position, the inverse
+ *   of distance; needed for reserve()
+ * - span(a, b) (optional): the exact length from position a to a later position b, as accepted
+ *   by advance; used by deleteSpan (default distance)
+ * - addLengths(a, b) (optional): the length of a and b together, as accepted by advance
+ *   (default a + b)
+ * - origin (optional): where findFirstFit() starts searching without a `from`
+ * - isValid(position): whether a value is an acceptable position
+ * - isInteger(position) (optional): whether a valid position is an integer; needed, along with
+ *   advance, for the 'integer' domain
+ * - numeric (optional): positions are finite numbers, which the binary encoding requires
+ */
+
+const compareWithOperators = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Finite numbers, the default
+ */
+export const numberOrder = {
+  compare: compareWithOperators,
+  distance: (a, b) => b - a,
+  advance: (position, length) => position + length,
+  origin: 0,
+  isValid: Number.isFinite,
+  isInteger: Number.isInteger,
+  numeric: true,
+};
+
+/**
+ * BigInts, e.g. timestamps in nanoseconds; distances are converted to numbers
+ */
+export const bigintOrder = {
+  compare: compareWithOperators,
+  distance: (a, b) => Number(b - a),
+  advance: (position, length) => {
+    if (typeof length !== 'bigint' && !Number.isInteger(length)) {
+      throw new RangeListError(`Invalid length for BigInt positions: ${String(length)}`);
+    }
+    return position + BigInt(length);
+  },
+  span: (a, b) => b - a,
+  addLengths: (a, b) => BigInt(a) + BigInt(b),
+  origin: 0n,
+  isValid: (position) => typeof position === 'bigint',
+  isInteger: () => true,
+};
+
+/**
+ * Dates, with distances in milliseconds
+ */
+export const dateOrder = {
+  compare: (a, b) => a.getTime() - b.getTime(),
+  distance: (a, b) => b.getTime() - a.getTime(),
+  advance: (position, length) => new Date(position.getTime() + length),
+  origin: new Date(0),
+  isValid: (position) => position instanceof Date && !Number.isNaN(position.getTime()),
+};
+
+/**
+ * Strings in code unit order (e.g. zero-padded IP addresses); they have no distance
+ */
+export const stringOrder = {
+  compare: compareWithOperators,
+  distance: null,
+  advance: null,
+  isValid: (position) => typeof position === 'string',
+};